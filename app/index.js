@@ -1,11 +1,159 @@
+import {Linter} from "eslint"
+import json from "@eslint/json"
+import {readFileSync} from "node:fs"
+import argumentsRule from "./rules/arguments.js"
 import arraysRule from "./rules/arrays.js"
+import chainsRule from "./rules/chains.js"
+import classMembersRule from "./rules/class-members.js"
+import importsRule from "./rules/imports.js"
+import jsxRule from "./rules/jsx.js"
+import moduleLayoutRule from "./rules/module-layout.js"
 import objectsRule from "./rules/objects.js"
+import parametersRule from "./rules/parameters.js"
+import patternsRule from "./rules/patterns.js"
 import statementsRule from "./rules/statements.js"
+import switchCasesRule from "./rules/switch-cases.js"
+import {withMappableFixes} from "./util.js"
 
-export default {
-    "rules": {
-        "arrays": arraysRule,
-        "objects": objectsRule,
-        "statements": statementsRule
+const {name, version} = JSON.parse(readFileSync(
+    new URL("../package.json", import.meta.url), "utf8"))
+const namespace = "padding-lines"
+/** @type {Record<string, import('eslint').Linter.Config>} */
+const jsonLanguages = {
+    "json": {"language": "json/json"},
+    "json5": {"language": "json/json5"},
+    "jsonc": {
+        "language": "json/jsonc", "languageOptions": {"allowTrailingCommas": true}
     }
 }
+
+/**
+ * The rules of the plugin, which only report the fixes that a processor
+ * can map back to the original file.
+ * @type {Record<string, import('eslint').Rule.RuleModule>}
+ */
+const rules = Object.fromEntries(Object.entries({
+    "arguments": argumentsRule,
+    "arrays": arraysRule,
+    "chains": chainsRule,
+    "class-members": classMembersRule,
+    "imports": importsRule,
+    "jsx": jsxRule,
+    "module-layout": moduleLayoutRule,
+    "objects": objectsRule,
+    "parameters": parametersRule,
+    "patterns": patternsRule,
+    "statements": statementsRule,
+    "switch-cases": switchCasesRule
+}).map(([ruleName, rule]) => [ruleName, {
+    ...rule, "create": context => rule.create(withMappableFixes(context))
+}]))
+
+/** @type {import('eslint').ESLint.Plugin} */
+const plugin = {
+    "configs": {},
+    "meta": {name, namespace, version},
+    rules
+}
+
+/**
+ * Create a flat config that registers the plugin and enables some rules.
+ * @param {string} configName - The name of the config within the plugin.
+ * @param {(
+ *   rule: import('eslint').Rule.RuleModule, ruleName: string
+ * ) => boolean} filter
+ * @returns {import('eslint').Linter.Config} The flat config object.
+ */
+const createConfig = (configName, filter) => ({
+    "name": `${namespace}/${configName}`,
+    "plugins": {[namespace]: plugin},
+    "rules": Object.fromEntries(Object.entries(rules)
+        .filter(([ruleName, rule]) => filter(rule, ruleName))
+        .map(([ruleName]) => [`${namespace}/${ruleName}`, "error"]))
+})
+
+plugin.configs = {
+    "all": createConfig("all", () => true),
+    "json": Object.entries(jsonLanguages).map(([extension, language]) => {
+        const config = createConfig(`json/${extension}`,
+            (_, ruleName) => ruleName === "arrays" || ruleName === "objects")
+        return {
+            ...config,
+            "files": [`**/*.${extension}`],
+            ...language,
+            "plugins": {...config.plugins, json}
+        }
+    }),
+    "recommended": createConfig(
+        "recommended", rule => Boolean(rule.meta?.docs?.recommended)),
+    "strict": createConfig("strict", rule => !rule.meta?.deprecated)
+}
+
+/**
+ * Throw the first fatal problem of the messages, which is a parsing error.
+ * @param {import('eslint').Linter.LintMessage[]} messages - The messages.
+ * @param {string} filename - The name of the file for the error message.
+ * @throws {SyntaxError} If one of the messages is fatal.
+ */
+const throwOnFatal = (messages, filename) => {
+    const fatal = messages.find(message => message.fatal)
+    if (fatal) {
+        throw new SyntaxError(`Unable to parse ${filename}: ${
+            fatal.message}`)
+    }
+}
+
+/**
+ * Format the padding lines of code, without an Eslint config or CLI.
+ * The code is parsed with espree, or the parser of the language options,
+ * after which the rules of this plugin fix it until nothing is left to fix.
+ * Problems that can't be fixed safely, such as blank lines split up by
+ * comments, are left as they are, so formatting the output again is a no-op.
+ * @param {string} code - The code to format.
+ * @param {{
+ *   filename?: string,
+ *   languageOptions?: import('eslint').Linter.LanguageOptions,
+ *   rules?: Record<string, unknown[]>
+ * }} options - The rules to run with their options, by default `arrays`,
+ * `objects` and `statements` with their default options.
+ * @returns {{
+ *   changes: import('eslint').Linter.LintMessage[], output: string
+ * }} The problems of the code that had a fix, and the formatted code.
+ * @throws {SyntaxError} If the code could not be parsed.
+ * @throws {Error} If the fixes keep changing the code, such as when the
+ * configured rules conflict with each other.
+ */
+export const formatPadding = (code, options = {}) => {
+    const {
+        filename = "file.js",
+        languageOptions = {},
+        rules: ruleOptions = {"arrays": [], "objects": [], "statements": []}
+    } = options
+    const linter = new Linter()
+    /** @type {import('eslint').Linter.Config} */
+    const config = {
+        "files": ["**/*.*"],
+        languageOptions,
+        "plugins": {[namespace]: plugin},
+        "rules": Object.fromEntries(Object.entries(ruleOptions).map(
+            ([ruleName, ruleOption]) => [
+                `${namespace}/${ruleName}`, ["error", ...ruleOption]]))
+    }
+    const problems = linter.verify(code, config, {filename})
+    throwOnFatal(problems, filename)
+    const changes = problems.filter(message => message.fix)
+    if (changes.length === 0) {
+        return {changes, "output": code}
+    }
+    const {messages, output} = linter.verifyAndFix(code, config, {filename})
+    throwOnFatal(messages, filename)
+    // Eslint stops fixing after a few passes, even if there is more to fix
+    if (messages.some(message => message.fix)) {
+        throw new Error(`Unable to format ${filename}: the fixes keep `
+            + "changing the code, which usually means that the rules conflict")
+    }
+    return {changes, output}
+}
+
+export {explainPaddingType} from "./rules/statements.js"
+export default plugin
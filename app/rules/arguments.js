@@ -0,0 +1,38 @@
+import {
+    createNewLineReporter, createNewLineReporterSchema
+} from "../util.js"
+
+/** @type {import('eslint').Rule.RuleModule} */
+export default {
+    "create": context => createNewLineReporter([
+        "CallExpression",
+        "NewExpression"
+    ], context),
+    "meta": {
+        "docs": {
+            "description": "Control padding lines between call arguments",
+            "recommended": false,
+            "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
+        },
+        "fixable": "whitespace",
+        "hasSuggestions": true,
+        "messages": {
+            "always": "Expected blank line between arguments ({{prev}} and {{next}}, override {{override}}).",
+            "alwaysEnd": "Expected blank line before the closing parenthesis ({{prev}} and {{next}}, override {{override}}).",
+            "alwaysStart": "Expected blank line after the opening parenthesis ({{prev}} and {{next}}, override {{override}}).",
+            "attachToNext": "Expected the comment to stick to the next argument.",
+            "attachToPrev": "Expected the comment to stick to the previous argument.",
+            "count": "Expected {{expected}} blank lines between arguments instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "countEnd": "Expected {{expected}} blank lines before the closing parenthesis instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "countStart": "Expected {{expected}} blank lines after the opening parenthesis instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "keepBlankLinesAbove": "Keep the blank lines above the comments.",
+            "keepBlankLinesBelow": "Keep the blank lines below the comments.",
+            "never": "Unexpected blank line between arguments ({{prev}} and {{next}}, override {{override}}).",
+            "neverEnd": "Unexpected blank line before the closing parenthesis ({{prev}} and {{next}}, override {{override}}).",
+            "neverStart": "Unexpected blank line after the opening parenthesis ({{prev}} and {{next}}, override {{override}}).",
+            "removeAllBlankLines": "Remove all blank lines."
+        },
+        "schema": createNewLineReporterSchema("minArguments"),
+        "type": "layout"
+    }
+}
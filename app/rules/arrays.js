@@ -1,8 +1,11 @@
-import {createNewLineReporter} from "../util.js"
+import {
+    createNewLineReporter, createNewLineReporterSchema
+} from "../util.js"
 
 /** @type {import('eslint').Rule.RuleModule} */
 export default {
-    "create": context => createNewLineReporter("ArrayExpression", context),
+    "create": context => createNewLineReporter(
+        ["Array", "ArrayExpression", "JSONArrayExpression"], context),
     "meta": {
         "docs": {
             "description": "Control padding lines between arrays",
@@ -10,17 +13,24 @@ export default {
             "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
         },
         "fixable": "whitespace",
+        "hasSuggestions": true,
         "messages": {
-            "always": "Expected blank line between array elements.",
-            "never": "Unexpected blank line between array elements."
+            "always": "Expected blank line between array elements ({{prev}} and {{next}}, override {{override}}).",
+            "alwaysEnd": "Expected blank line before the closing bracket ({{prev}} and {{next}}, override {{override}}).",
+            "alwaysStart": "Expected blank line after the opening bracket ({{prev}} and {{next}}, override {{override}}).",
+            "attachToNext": "Expected the comment to stick to the next element.",
+            "attachToPrev": "Expected the comment to stick to the previous element.",
+            "count": "Expected {{expected}} blank lines between array elements instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "countEnd": "Expected {{expected}} blank lines before the closing bracket instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "countStart": "Expected {{expected}} blank lines after the opening bracket instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "keepBlankLinesAbove": "Keep the blank lines above the comments.",
+            "keepBlankLinesBelow": "Keep the blank lines below the comments.",
+            "never": "Unexpected blank line between array elements ({{prev}} and {{next}}, override {{override}}).",
+            "neverEnd": "Unexpected blank line before the closing bracket ({{prev}} and {{next}}, override {{override}}).",
+            "neverStart": "Unexpected blank line after the opening bracket ({{prev}} and {{next}}, override {{override}}).",
+            "removeAllBlankLines": "Remove all blank lines."
         },
-        "schema": [
-            {"enum": ["always", "never"]},
-            {
-                "additionalProperties": false,
-                "type": "object"
-            }
-        ],
+        "schema": createNewLineReporterSchema("minElements"),
         "type": "layout"
     }
 }
@@ -0,0 +1,133 @@
+import {
+    fixPaddingLineCount,
+    getPaddingLineSequencesBetweenTokens,
+    suggestPaddingLineCount
+} from "../util.js"
+
+const OPERATORS = ["&&", "||", "??", "?", ":"]
+
+/** @type {import('eslint').Rule.RuleModule} */
+export default {
+    "create": context => {
+        const {sourceCode} = context
+        const {
+            allowBefore = [],
+            allowOperators = [],
+            members = "never",
+            operands = "never"
+        } = context.options[0] || {}
+        /**
+         * Report and remove the blank lines around a token of an expression.
+         * Blank lines on both sides of a comment are left to the suggestions.
+         * @param {import('eslint').AST.Token} token - The dot or operator.
+         * @param {import('estree').Node} node - The node to report.
+         * @param {string} messageId - The message to report.
+         * @private
+         */
+        const verifyToken = (token, node, messageId) => {
+            const paddingLines = getPaddingLineSequencesBetweenTokens(
+                sourceCode, sourceCode.getTokenBefore(token),
+                sourceCode.getTokenAfter(token))
+            if (paddingLines.length === 0) {
+                return
+            }
+            context.report({
+                "fix": fixer => {
+                    if (paddingLines.length >= 2) {
+                        return null
+                    }
+                    return fixPaddingLineCount(
+                        fixer, sourceCode, paddingLines[0], 0)
+                },
+                messageId,
+                node,
+                "suggest": suggestPaddingLineCount(sourceCode, paddingLines, 0)
+            })
+        }
+        /**
+         * Verify the blank lines around an operator between two operands.
+         * @param {import('estree').Node} left - The operand before it.
+         * @param {import('estree').Node} right - The operand after it.
+         * @param {string} operator - The operator between the operands.
+         * @private
+         */
+        const verifyOperator = (left, right, operator) => {
+            if (operands === "any" || allowOperators.includes(operator)) {
+                return
+            }
+            const token = sourceCode.getFirstTokenBetween(
+                left, right, {"filter": ({value}) => value === operator})
+            if (token) {
+                verifyToken(token, right, "unexpectedOperand")
+            }
+        }
+        return {
+            /**
+             * Verify the blank lines around the test of a ternary.
+             * @param {import('estree').ConditionalExpression} node
+             */
+            "ConditionalExpression": node => {
+                verifyOperator(node.test, node.consequent, "?")
+                verifyOperator(node.consequent, node.alternate, ":")
+            },
+            /**
+             * Verify the blank lines around the operator of a logical expression.
+             * @param {import('estree').LogicalExpression} node
+             */
+            "LogicalExpression": node => {
+                verifyOperator(node.left, node.right, node.operator)
+            },
+            /**
+             * Verify the blank lines around the dot of a link in a chain.
+             * Computed members are not links of a chain and are not checked.
+             * @param {import('estree').MemberExpression} node
+             */
+            "MemberExpression": node => {
+                if (node.computed || members === "any") {
+                    return
+                }
+                if (node.property.type === "Identifier"
+                    && allowBefore.includes(node.property.name)) {
+                    return
+                }
+                verifyToken(sourceCode.getTokenBefore(node.property),
+                    node.property, "unexpectedMember")
+            }
+        }
+    },
+    "meta": {
+        "docs": {
+            "description": "Control padding lines inside member chains and logical expressions",
+            "recommended": false,
+            "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
+        },
+        "fixable": "whitespace",
+        "hasSuggestions": true,
+        "messages": {
+            "removeAllBlankLines": "Remove all blank lines.",
+            "unexpectedMember": "Unexpected blank line in a member chain.",
+            "unexpectedOperand": "Unexpected blank line between operands."
+        },
+        "schema": [
+            {
+                "additionalProperties": false,
+                "properties": {
+                    "allowBefore": {
+                        "items": {"type": "string"},
+                        "type": "array",
+                        "uniqueItems": true
+                    },
+                    "allowOperators": {
+                        "items": {"enum": OPERATORS},
+                        "type": "array",
+                        "uniqueItems": true
+                    },
+                    "members": {"enum": ["any", "never"]},
+                    "operands": {"enum": ["any", "never"]}
+                },
+                "type": "object"
+            }
+        ],
+        "type": "layout"
+    }
+}
@@ -0,0 +1,149 @@
+import {
+    PaddingTypes, getPaddingLineSequences
+} from "../util.js"
+
+/**
+ * Creates tester which check if a member is a method of the given kind.
+ * @param {...string} kinds - The method kinds to test.
+ * @returns {object} The created tester.
+ * @private
+ */
+const newMethodKindTester = (...kinds) => ({
+    "test": node => node.type === "MethodDefinition"
+        && kinds.includes(node.kind)
+})
+
+/**
+ * Types of class members.
+ * Those have `test` method to check it matches to the given member.
+ * @private
+ */
+const MemberTypes = {
+    "*": {"test": () => true},
+    "accessor": newMethodKindTester("get", "set"),
+    "constructor": newMethodKindTester("constructor"),
+    "field": {
+        "test": node => node.type === "PropertyDefinition"
+            || node.type === "AccessorProperty"
+    },
+    "getter": newMethodKindTester("get"),
+    "method": newMethodKindTester("method"),
+    "multiline": {
+        "test": node => node.loc.start.line !== node.loc.end.line
+    },
+    "private": {
+        "test": node => node.key?.type === "PrivateIdentifier"
+    },
+    "setter": newMethodKindTester("set"),
+    "singleline": {
+        "test": node => node.loc.start.line === node.loc.end.line
+    },
+    "static": {"test": node => Boolean(node.static)},
+    "static-block": {"test": node => node.type === "StaticBlock"}
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+export default {
+    "create": context => {
+        const {sourceCode} = context
+        const configureList = context.options || []
+        /**
+         * Checks whether the given member matches the given type.
+         * @param {import('estree').Node} node - The member node to check.
+         * @param {string|string[]} type - The member type to check.
+         * @returns {boolean} `true` if the member node matched the type.
+         * @private
+         */
+        const match = (node, type) => {
+            if (Array.isArray(type)) {
+                return type.some(match.bind(null, node))
+            }
+            return MemberTypes[type].test(node)
+        }
+        /**
+         * Finds the last matched configure from configureList.
+         * @param {import('estree').Node} prevNode - The previous member to match.
+         * @param {import('estree').Node} nextNode - The current member to match.
+         * @returns {object} The last matched configure with its index.
+         * @private
+         */
+        const getPaddingType = (prevNode, nextNode) => {
+            for (let i = configureList.length - 1; i >= 0; --i) {
+                const configure = configureList[i]
+                const matched
+                    = match(prevNode, configure.prev)
+                    && match(nextNode, configure.next)
+                if (matched) {
+                    return {...configure, "index": i}
+                }
+            }
+            return {"blankLine": "any"}
+        }
+        return {
+            /**
+             * Verify padding lines between each pair of class members.
+             * @param {import('estree').ClassBody} node - The class body.
+             */
+            "ClassBody": node => {
+                for (let i = 1; i < node.body.length; i++) {
+                    const prevNode = node.body[i - 1]
+                    const nextNode = node.body[i]
+                    const configure = getPaddingType(prevNode, nextNode)
+                    const paddingLines = getPaddingLineSequences(
+                        sourceCode, prevNode, nextNode)
+                    PaddingTypes[configure.blankLine].verify(context,
+                        prevNode, nextNode, paddingLines, configure)
+                }
+            }
+        }
+    },
+    "meta": {
+        "docs": {
+            "description": "Control padding lines between class members",
+            "recommended": false,
+            "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
+        },
+        "fixable": "whitespace",
+        "hasSuggestions": true,
+        "messages": {
+            "blankLineCount": "Expected {{expected}} blank lines between class members instead of {{actual}} ({{prev}} and {{next}}, config {{config}}).",
+            "expectedBlankLine": "Expected blank line between class members ({{prev}} and {{next}}, config {{config}}).",
+            "keepBlankLinesAbove": "Keep the blank lines above the comments.",
+            "keepBlankLinesBelow": "Keep the blank lines below the comments.",
+            "removeAllBlankLines": "Remove all blank lines.",
+            "unexpectedBlankLine": "Unexpected blank line between class members ({{prev}} and {{next}}, config {{config}})."
+        },
+        "schema": {
+            "definitions": {
+                "memberType": {
+                    "anyOf": [
+                        {"enum": Object.keys(MemberTypes)},
+                        {
+                            "items": {"enum": Object.keys(MemberTypes)},
+                            "minItems": 1,
+                            "type": "array",
+                            "uniqueItems": true
+                        }
+                    ]
+                },
+                "paddingType": {
+                    "enum": Object.keys(PaddingTypes)
+                }
+            },
+            "items": {
+                "additionalProperties": false,
+                "properties": {
+                    "blankLine": {"$ref": "#/definitions/paddingType"},
+                    "exact": {"minimum": 1, "type": "integer"},
+                    "max": {"minimum": 1, "type": "integer"},
+                    "next": {"$ref": "#/definitions/memberType"},
+                    "prev": {"$ref": "#/definitions/memberType"}
+                },
+                "required": ["blankLine", "prev", "next"],
+                "type": "object"
+            },
+            "type": "array"
+        },
+        "type": "layout"
+    }
+}
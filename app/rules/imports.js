@@ -0,0 +1,167 @@
+import {builtinModules} from "node:module"
+import {PaddingTypes, getPaddingLineSequences} from "../util.js"
+
+const REGEX_PATTERN = /^\/(?<source>.+)\/(?<flags>[a-z]*)$/u
+const DEFAULT_GROUPS = ["builtin", "external", "parent", ["sibling", "index"]]
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * Supports `**` for any path, `*` for any path segment and `?` for any char.
+ * @param {string} glob - The glob pattern to convert.
+ * @returns {RegExp} The regular expression matching the same sources.
+ * @private
+ */
+const globToRegExp = glob => {
+    const source = glob.split(/(\*\*|\*|\?)/u).map(part => {
+        if (part === "**") {
+            return ".*"
+        }
+        if (part === "*") {
+            return "[^/]*"
+        }
+        if (part === "?") {
+            return "[^/]"
+        }
+        return part.replace(/[.+^${}()|[\]\\]/gu, String.raw`\$&`)
+    }).join("")
+    return new RegExp(`^${source}$`, "u")
+}
+
+/**
+ * Kinds of import sources.
+ * Those have `test` method to check it matches to the given import.
+ * @private
+ */
+const ImportKinds = {
+    "builtin": {
+        "test": node => String(node.source.value).startsWith("node:")
+            || builtinModules.includes(String(node.source.value))
+    },
+    "external": {
+        "test": node => /^[^./]/u.test(String(node.source.value))
+    },
+    "index": {
+        "test": node => /^\.\/?(?:index(?:\.[cm]?[jt]s)?)?$/u
+            .test(String(node.source.value))
+    },
+    "parent": {
+        "test": node => /^\.\.(?:\/|$)/u.test(String(node.source.value))
+    },
+    "sibling": {
+        "test": node => String(node.source.value).startsWith("./")
+    },
+    "type": {"test": node => node.importKind === "type"}
+}
+
+/**
+ * Creates tester for a group entry, either a kind of import or a pattern.
+ * Patterns in the form of `/source/flags` are regular expressions,
+ * any other pattern is a glob matched against the import source.
+ * @param {string} entry - The kind or pattern of the group entry.
+ * @returns {object} The created tester.
+ * @throws {SyntaxError} If the regular expression could not be parsed.
+ * @private
+ */
+const newGroupEntryTester = entry => {
+    if (entry in ImportKinds) {
+        return ImportKinds[entry]
+    }
+    const regex = REGEX_PATTERN.exec(entry)
+    let pattern = globToRegExp(entry)
+    if (regex?.groups) {
+        try {
+            pattern = new RegExp(regex.groups.source, regex.groups.flags)
+        } catch (err) {
+            throw new SyntaxError(`Invalid import group pattern "${
+                entry}": ${err.message}`, {"cause": err})
+        }
+    }
+    return {"test": node => pattern.test(String(node.source.value))}
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+export default {
+    "create": context => {
+        const {sourceCode} = context
+        const groups = (context.options[0]?.groups ?? DEFAULT_GROUPS)
+            .map(group => [group].flat().map(newGroupEntryTester))
+        /**
+         * Finds the index of the first group the import belongs to.
+         * Imports that match none of the groups share an extra last group.
+         * @param {import('estree').ImportDeclaration} node - The import.
+         * @returns {number} The index of the group.
+         * @private
+         */
+        const getGroupIndex = node => {
+            const index = groups.findIndex(
+                group => group.some(tester => tester.test(node)))
+            if (index === -1) {
+                return groups.length
+            }
+            return index
+        }
+        return {
+            /**
+             * Verify padding lines between each pair of adjacent imports.
+             * @param {import('estree').Program} node - The program.
+             */
+            "Program": node => {
+                for (let i = 1; i < node.body.length; i++) {
+                    const prevNode = node.body[i - 1]
+                    const nextNode = node.body[i]
+                    if (prevNode.type !== "ImportDeclaration"
+                        || nextNode.type !== "ImportDeclaration") {
+                        continue
+                    }
+                    const paddingLines = getPaddingLineSequences(
+                        sourceCode, prevNode, nextNode)
+                    let configure = {"blankLine": "always", "exact": 1}
+                    if (getGroupIndex(prevNode) === getGroupIndex(nextNode)) {
+                        configure = {"blankLine": "never"}
+                    }
+                    PaddingTypes[configure.blankLine].verify(context,
+                        prevNode, nextNode, paddingLines, configure)
+                }
+            }
+        }
+    },
+    "meta": {
+        "docs": {
+            "description": "Control padding lines between groups of imports",
+            "recommended": false,
+            "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
+        },
+        "fixable": "whitespace",
+        "hasSuggestions": true,
+        "messages": {
+            "blankLineCount": "Expected one blank line between import groups instead of {{actual}}.",
+            "expectedBlankLine": "Expected blank line between import groups.",
+            "keepBlankLinesAbove": "Keep the blank lines above the comments.",
+            "keepBlankLinesBelow": "Keep the blank lines below the comments.",
+            "removeAllBlankLines": "Remove all blank lines.",
+            "unexpectedBlankLine": "Unexpected blank line within an import group."
+        },
+        "schema": [
+            {
+                "additionalProperties": false,
+                "properties": {
+                    "groups": {
+                        "items": {
+                            "anyOf": [
+                                {"type": "string"},
+                                {
+                                    "items": {"type": "string"},
+                                    "minItems": 1,
+                                    "type": "array"
+                                }
+                            ]
+                        },
+                        "type": "array"
+                    }
+                },
+                "type": "object"
+            }
+        ],
+        "type": "layout"
+    }
+}
@@ -0,0 +1,192 @@
+import {
+    countPaddingLinesBetweenTokens,
+    fixPaddingLineCount,
+    fixPaddingLinesInRange,
+    getPaddingLineSequencesBetweenTokens,
+    suggestPaddingLineCount
+} from "../util.js"
+
+const LINE_BREAK = /\r\n|[\r\n\u2028\u2029]/u
+const LINE_BREAKS = new RegExp(LINE_BREAK.source, "gu")
+const LEADING_JSX_WHITESPACE = /^[\t\n\r ]*/u
+const TRAILING_JSX_WHITESPACE = /[\t\n\r ]*$/u
+
+/**
+ * Checks whether the given child is text that only contains whitespace.
+ * @param {import('estree').Node} node - The JSX child to check.
+ * @returns {boolean} `true` if the child is whitespace-only text.
+ */
+const isWhitespaceText = node => node.type === "JSXText"
+    && /^[\t\n\r ]*$/u.test(node.raw ?? node.value)
+
+/**
+ * Gets the range of the content of a JSX child.
+ * The leading and trailing whitespace of text is excluded,
+ * as it is removed by JSX when it contains a line break.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node - The JSX child.
+ * @returns {[number, number]} The range of the content.
+ */
+const getContentRange = (sourceCode, node) => {
+    if (node.type !== "JSXText") {
+        return node.range
+    }
+    const text = sourceCode.getText(node)
+    const [leading] = LEADING_JSX_WHITESPACE.exec(text) ?? [""]
+    const [trailing] = TRAILING_JSX_WHITESPACE.exec(text) ?? [""]
+    return [
+        node.range[0] + leading.length,
+        node.range[0] + text.length - trailing.length
+    ]
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+export default {
+    "create": context => {
+        const {sourceCode} = context
+        const {
+            attributes = "never", children = "never", edges = "never"
+        } = context.options[0] || {}
+        /**
+         * Report a gap between two parts of a JSX element and fix it.
+         * Gaps on a single line are not checked, as the whitespace between
+         * text and elements is only insignificant when it spans lines.
+         * @param {[number, number]} range - The range of the gap.
+         * @param {"any"|"always"|"never"} mode - The mode for this gap.
+         * @param {string} messageSuffix - The kind of gap for the message.
+         * @param {import('estree').Node} node - The node to report.
+         * @param {number} blankLines - The number of blank lines in the gap.
+         * @param {(fixer: import('eslint').Rule.RuleFixer) => (
+         *   import('eslint').Rule.Fix|null
+         * )} removeFix - The fix that removes the blank lines.
+         * @param {import('eslint').Rule.SuggestionReportDescriptor[]} suggest -
+         * The suggestions for blank lines that are split up by comments.
+         */
+        const reportGap = (range, mode, messageSuffix,
+            node, blankLines, removeFix, suggest = []) => {
+            const text = sourceCode.text.slice(...range)
+            const lineBreak = LINE_BREAK.exec(text)
+            if (mode === "any" || !lineBreak) {
+                return
+            }
+            const isPadded = blankLines > 0
+            if (isPadded === (mode === "always")) {
+                return
+            }
+            let messageId = `always${messageSuffix}`
+            if (isPadded) {
+                messageId = `never${messageSuffix}`
+            }
+            context.report({
+                "fix": fixer => {
+                    if (isPadded) {
+                        return removeFix(fixer)
+                    }
+                    const offset = range[0] + lineBreak.index
+                    return fixer.insertTextAfterRange(
+                        [offset, offset], lineBreak[0])
+                },
+                messageId,
+                node,
+                suggest
+            })
+        }
+        /**
+         * Check the gap between two JSX children, or a child and a tag.
+         * This gap only contains whitespace, which can be part of JSXText.
+         * @param {[number, number]} range - The range of the whitespace.
+         * @param {"any"|"always"|"never"} mode - The mode for this gap.
+         * @param {string} messageSuffix - The kind of gap for the message.
+         * @param {import('estree').Node} node - The node to report.
+         */
+        const checkWhitespaceGap = (range, mode, messageSuffix, node) => {
+            const text = sourceCode.text.slice(...range)
+            const lineBreaks = text.match(LINE_BREAKS) ?? []
+            const blankLines = Math.max(lineBreaks.length - 1, 0)
+            reportGap(range, mode, messageSuffix, node, blankLines,
+                fixer => fixPaddingLinesInRange(fixer, sourceCode, range, 0))
+        }
+        /**
+         * Check the padding of the children of an element or fragment.
+         * @param {import('estree').Node} node - The element or fragment.
+         */
+        const checkChildren = node => {
+            const opening = node.openingElement ?? node.openingFragment
+            const closing = node.closingElement ?? node.closingFragment
+            const contents = node.children.filter(
+                child => !isWhitespaceText(child))
+            if (!closing || contents.length === 0) {
+                return
+            }
+            const ranges = contents.map(
+                child => getContentRange(sourceCode, child))
+            checkWhitespaceGap([opening.range[1], ranges[0][0]],
+                edges, "Edges", contents[0])
+            for (let i = 0; i < contents.length - 1; i++) {
+                checkWhitespaceGap([ranges[i][1], ranges[i + 1][0]],
+                    children, "Children", contents[i + 1])
+            }
+            checkWhitespaceGap([ranges.at(-1)[1], closing.range[0]],
+                edges, "Edges", contents.at(-1))
+        }
+        return {
+            "JSXElement": checkChildren,
+            "JSXFragment": checkChildren,
+            /**
+             * Check the padding between the attributes of an element.
+             * @param {import('estree').Node} node - The opening element.
+             */
+            "JSXOpeningElement": node => {
+                for (let i = 0; i < node.attributes.length - 1; i++) {
+                    const first = sourceCode.getLastToken(node.attributes[i])
+                    const second = sourceCode.getFirstToken(
+                        node.attributes[i + 1])
+                    const paddingLines = getPaddingLineSequencesBetweenTokens(
+                        sourceCode, first, second)
+                    reportGap([first.range[1], second.range[0]], attributes,
+                        "Attributes", node.attributes[i + 1],
+                        countPaddingLinesBetweenTokens(
+                            sourceCode, first, second),
+                        fixer => {
+                            if (paddingLines.length >= 2) {
+                                return null
+                            }
+                            return fixPaddingLineCount(
+                                fixer, sourceCode, paddingLines[0], 0)
+                        },
+                        suggestPaddingLineCount(sourceCode, paddingLines, 0))
+                }
+            }
+        }
+    },
+    "meta": {
+        "docs": {
+            "description": "Control padding lines between JSX attributes and children",
+            "recommended": false,
+            "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
+        },
+        "fixable": "whitespace",
+        "hasSuggestions": true,
+        "messages": {
+            "alwaysAttributes": "Expected blank line between JSX attributes.",
+            "alwaysChildren": "Expected blank line between JSX children.",
+            "alwaysEdges": "Expected blank line between the JSX tag and its children.",
+            "neverAttributes": "Unexpected blank line between JSX attributes.",
+            "neverChildren": "Unexpected blank line between JSX children.",
+            "neverEdges": "Unexpected blank line between the JSX tag and its children.",
+            "removeAllBlankLines": "Remove all blank lines."
+        },
+        "schema": [
+            {
+                "additionalProperties": false,
+                "properties": {
+                    "attributes": {"enum": ["any", "always", "never"]},
+                    "children": {"enum": ["any", "always", "never"]},
+                    "edges": {"enum": ["any", "always", "never"]}
+                },
+                "type": "object"
+            }
+        ],
+        "type": "layout"
+    }
+}
@@ -0,0 +1,110 @@
+import {
+    PaddingTypes,
+    getPaddingLineSequences,
+    isCjsExport,
+    isCjsImport,
+    isDirectivePrologue
+} from "../util.js"
+
+/**
+ * Checks whether the given statement is an ESM or CommonJS import.
+ * @param {import('estree').Node} node - The statement to check.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {boolean} `true` if the statement imports a module.
+ * @private
+ */
+const isImport = (node, sourceCode) => node.type === "ImportDeclaration"
+    || isCjsImport(node, sourceCode)
+
+/**
+ * Checks whether the given statement is an ESM or CommonJS export.
+ * @param {import('estree').Node} node - The statement to check.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {boolean} `true` if the statement exports from the module.
+ * @private
+ */
+const isExport = (node, sourceCode) => node.type.startsWith("Export")
+    || isCjsExport(node, sourceCode)
+
+/** @type {import('eslint').Rule.RuleModule} */
+export default {
+    "create": context => {
+        const {sourceCode} = context
+        const {
+            afterDirectives = "always",
+            afterImports = "always",
+            aroundExportDefault = "always",
+            beforeExports = "always"
+        } = context.options[0] || {}
+        return {
+            /**
+             * Verify the padding between the sections of the module.
+             * The gap after the directives and around the default export
+             * take precedence over the gaps after imports and before exports.
+             * @param {import('estree').Program} node - The program.
+             */
+            "Program": node => {
+                const {body} = node
+                const directiveCount = body.findIndex(
+                    statement => !isDirectivePrologue(statement, sourceCode))
+                const lastImport = body.map(
+                    statement => isImport(statement, sourceCode)
+                ).lastIndexOf(true)
+                let firstExport = body.length
+                while (firstExport > 0
+                    && isExport(body[firstExport - 1], sourceCode)) {
+                    firstExport -= 1
+                }
+                for (let i = 1; i < body.length; i++) {
+                    const prevNode = body[i - 1]
+                    const nextNode = body[i]
+                    let blankLine = "any"
+                    if (i === firstExport) {
+                        blankLine = beforeExports
+                    }
+                    if (i - 1 === lastImport) {
+                        blankLine = afterImports
+                    }
+                    if (prevNode.type === "ExportDefaultDeclaration"
+                        || nextNode.type === "ExportDefaultDeclaration") {
+                        blankLine = aroundExportDefault
+                    }
+                    if (i === directiveCount) {
+                        blankLine = afterDirectives
+                    }
+                    const paddingLines = getPaddingLineSequences(
+                        sourceCode, prevNode, nextNode)
+                    PaddingTypes[blankLine].verify(
+                        context, prevNode, nextNode, paddingLines)
+                }
+            }
+        }
+    },
+    "meta": {
+        "docs": {
+            "description": "Control padding lines between the sections of a module",
+            "recommended": false,
+            "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
+        },
+        "fixable": "whitespace",
+        "hasSuggestions": true,
+        "messages": {
+            "expectedBlankLine": "Expected blank line between the sections of the module.",
+            "removeAllBlankLines": "Remove all blank lines.",
+            "unexpectedBlankLine": "Unexpected blank line between the sections of the module."
+        },
+        "schema": [
+            {
+                "additionalProperties": false,
+                "properties": {
+                    "afterDirectives": {"enum": Object.keys(PaddingTypes)},
+                    "afterImports": {"enum": Object.keys(PaddingTypes)},
+                    "aroundExportDefault": {"enum": Object.keys(PaddingTypes)},
+                    "beforeExports": {"enum": Object.keys(PaddingTypes)}
+                },
+                "type": "object"
+            }
+        ],
+        "type": "layout"
+    }
+}
@@ -1,8 +1,17 @@
-import {createNewLineReporter} from "../util.js"
+import {
+    createNewLineReporter, createNewLineReporterSchema
+} from "../util.js"
 
 /** @type {import('eslint').Rule.RuleModule} */
 export default {
-    "create": context => createNewLineReporter("ObjectExpression", context),
+    "create": context => createNewLineReporter([
+        "JSONObjectExpression",
+        "Object",
+        "ObjectExpression",
+        "TSEnumDeclaration",
+        "TSInterfaceBody",
+        "TSTypeLiteral"
+    ], context),
     "meta": {
         "docs": {
             "description": "Control padding lines between objects",
@@ -10,17 +19,24 @@ export default {
             "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
         },
         "fixable": "whitespace",
+        "hasSuggestions": true,
         "messages": {
-            "always": "Expected blank line between object props.",
-            "never": "Unexpected blank line between object props."
+            "always": "Expected blank line between object props ({{prev}} and {{next}}, override {{override}}).",
+            "alwaysEnd": "Expected blank line before the closing brace ({{prev}} and {{next}}, override {{override}}).",
+            "alwaysStart": "Expected blank line after the opening brace ({{prev}} and {{next}}, override {{override}}).",
+            "attachToNext": "Expected the comment to stick to the next prop.",
+            "attachToPrev": "Expected the comment to stick to the previous prop.",
+            "count": "Expected {{expected}} blank lines between object props instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "countEnd": "Expected {{expected}} blank lines before the closing brace instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "countStart": "Expected {{expected}} blank lines after the opening brace instead of {{actual}} ({{prev}} and {{next}}, override {{override}}).",
+            "keepBlankLinesAbove": "Keep the blank lines above the comments.",
+            "keepBlankLinesBelow": "Keep the blank lines below the comments.",
+            "never": "Unexpected blank line between object props ({{prev}} and {{next}}, override {{override}}).",
+            "neverEnd": "Unexpected blank line before the closing brace ({{prev}} and {{next}}, override {{override}}).",
+            "neverStart": "Unexpected blank line after the opening brace ({{prev}} and {{next}}, override {{override}}).",
+            "removeAllBlankLines": "Remove all blank lines."
         },
-        "schema": [
-            {"enum": ["always", "never"]},
-            {
-                "additionalProperties": false,
-                "type": "object"
-            }
-        ],
+        "schema": createNewLineReporterSchema("minProperties"),
         "type": "layout"
     }
 }
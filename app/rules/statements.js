@@ -1,13 +1,30 @@
-const LINEBREAKS = new Set(["\r\n", "\r", "\n", "\u2028", "\u2029"])
-const LT = `[${[...LINEBREAKS].join("")}]`
-const PADDING_LINE_SEQUENCE = new RegExp(
-    String.raw`^(\s*?${LT})\s*${LT}(\s*;?)$`, "u")
-const CJS_EXPORT = /^(?:module\s*\.\s*)?exports(?:\s*\.|\s*\[|$)/u
-const CJS_IMPORT = /^require\(/u
-const STATEMENT_LIST_PARENTS = new Set(
-    ["BlockStatement", "Program", "StaticBlock", "SwitchCase"]
-)
-const anyFunctionPattern = /^(?:Function(?:Declaration|Expression)|ArrowFunctionExpression)$/u
+import esquery from "esquery"
+import {
+    PaddingTypes,
+    getPaddingLineSequences,
+    isCjsExport,
+    isCjsImport,
+    isDirectivePrologue,
+    isFunction,
+    isSemicolonToken
+} from "../util.js"
+
+const LOOP_STATEMENTS = new Set([
+    "DoWhileStatement",
+    "ForInStatement",
+    "ForOfStatement",
+    "ForStatement",
+    "WhileStatement"
+])
+const STATEMENT_LIST_PARENTS = new Set([
+    "BlockStatement",
+    "Program",
+    "StaticBlock",
+    // The scripts of Svelte components are not the program itself
+    "SvelteScriptElement",
+    "SwitchCase",
+    "TSModuleBlock"
+])
 
 /**
  * Retrieve `expression` value if the given node a `ChainExpression` node.
@@ -22,14 +39,6 @@ const skipChainExpression = node => {
     return node
 }
 
-/**
- * Checks if the given token is a semicolon token or not.
- * @param {import('eslint').AST.Token} token - The token to check.
- * @returns {boolean} `true` if the token is a semicolon token.
- */
-const isSemicolonToken = token => token.value === ";"
-    && token.type === "Punctuator"
-
 /**
  * Checks if the given token is a semicolon token or not.
  * @param {import('eslint').AST.Token} token - The token to check.
@@ -45,46 +54,6 @@ const isNotSemicolonToken = token => !isSemicolonToken(token)
 const isClosingBraceToken = token => token.value === "}"
     && token.type === "Punctuator"
 
-/**
- * Determines if a node is surrounded by parentheses.
- * @param {import('eslint').SourceCode} sourceCode - The source code object.
- * @param {import('estree').Node} node - The node to be checked.
- * @returns {boolean} True if the node is parenthesised.
- * @private
- */
-const isParenthesised = (sourceCode, node) => {
-    const previousToken = sourceCode.getTokenBefore(node)
-    const nextToken = sourceCode.getTokenAfter(node)
-    return !!previousToken && !!nextToken
-        && previousToken.value === "("
-        && previousToken.range[1] <= (node.range?.[0] ?? -1)
-        && nextToken?.value === ")"
-        && nextToken.range[0] >= (node.range?.[1] ?? -1)
-}
-
-/**
- * Determines whether two adjacent tokens are on the same line.
- * @param {import('eslint').AST.Token|import('estree').Comment} left
- * @param {import('eslint').AST.Token|import('estree').Comment} right
- * @returns {boolean} Whether or not the tokens are on the same line.
- * @public
- */
-const isTokenOnSameLine = (
-    left, right) => left.loc?.end.line === right.loc?.start.line
-
-/**
- * Checks whether a given node is a function node or not.
- * The following types are function nodes:
- *
- * - ArrowFunctionExpression
- * - FunctionDeclaration
- * - FunctionExpression.
- * @param {import('estree').Node|null} node - A node to check.
- * @returns {boolean} `true` if the node is a function node.
- */
-const isFunction = node => Boolean(
-    node && anyFunctionPattern.test(node.type))
-
 /**
  * Creates tester which check if a node starts with specific keyword.
  * @param {string} keyword - The keyword to test.
@@ -98,26 +67,26 @@ const newKeywordTester = keyword => ({
 
 /**
  * Creates tester which check if:
- * a node starts with specific keyword and spans a single line.
- * @param {string} keyword - The keyword to test.
+ * a node matches the given tester and spans a single line.
+ * @param {object} tester - The tester the node should also match.
  * @returns {object} The created tester.
  * @private
  */
-const newSinglelineKeywordTester = keyword => ({
+const newSinglelineTester = tester => ({
     "test": (node, sourceCode) => node.loc.start.line === node.loc.end.line
-            && sourceCode.getFirstToken(node).value === keyword
+            && tester.test(node, sourceCode)
 })
 
 /**
  * Creates tester which check if:
- * a node starts with specific keyword and spans multiple lines.
- * @param {string} keyword - The keyword to test.
+ * a node matches the given tester and spans multiple lines.
+ * @param {object} tester - The tester the node should also match.
  * @returns {object} The created tester.
  * @private
  */
-const newMultilineKeywordTester = keyword => ({
+const newMultilineTester = tester => ({
     "test": (node, sourceCode) => node.loc.start.line !== node.loc.end.line
-            && sourceCode.getFirstToken(node).value === keyword
+            && tester.test(node, sourceCode)
 })
 
 /**
@@ -197,203 +166,22 @@ const isArrowFuntion = node => {
 }
 
 /**
- * Check whether the given node is a directive or not.
- * @param {import('estree').Node} node - The node to check.
- * @param {import('eslint').SourceCode} sourceCode
- * @returns {boolean} `true` if the node is a directive.
- */
-const isDirective = (node, sourceCode) => node.type === "ExpressionStatement"
-    && (node.parent.type === "Program" || node.parent.type === "BlockStatement"
-        && isFunction(node.parent.parent))
-    && node.expression.type === "Literal"
-    && typeof node.expression.value === "string"
-    && !isParenthesised(sourceCode, node.expression)
-
-/**
- * Check whether the given node is a part of directive prologue or not.
- * @param {import('estree').Node} node
- * @param {import('eslint').SourceCode} sourceCode
- * @returns {boolean} `true` if the node is a part of directive prologue.
- */
-const isDirectivePrologue = (node, sourceCode) => {
-    if (isDirective(node, sourceCode)) {
-        for (const sibling of node.parent.body) {
-            if (sibling === node) {
-                break
-            }
-            if (!isDirective(sibling, sourceCode)) {
-                return false
-            }
-        }
-        return true
-    }
-    return false
-}
-
-/**
- * Gets the actual last token.
- *
- * If a semicolon is semicolon-less style's semicolon, this ignores it.
- * For example:
- *
- *     foo()
- *     ;[1, 2, 3].forEach(bar).
- * @param {import('eslint').SourceCode} sourceCode
- * @param {import('estree').Node} node - The node to get.
- * @returns {import('eslint').AST.Token} The last token base on code and node.
- * @private
- */
-const getActualLastToken = (sourceCode, node) => {
-    const semiToken = sourceCode.getLastToken(node)
-    const prevToken = sourceCode.getTokenBefore(semiToken)
-    const nextToken = sourceCode.getTokenAfter(semiToken)
-    const isSemicolonLessStyle = Boolean(
-        prevToken
-        && nextToken
-        && prevToken.range[0] >= node.range[0]
-        && isSemicolonToken(semiToken)
-        && semiToken.loc.start.line !== prevToken.loc.end.line
-        && semiToken.loc.end.line === nextToken.loc.start.line
-    )
-    if (isSemicolonLessStyle) {
-        return prevToken
-    }
-    return semiToken
-}
-
-/**
- * This returns the concatenation of the first 2 captured strings.
- * @param {string} _ - Unused. Whole matched string.
- * @param {string} trailingSpaces - The trailing spaces of the first line.
- * @param {string} indentSpaces - The indentation spaces of the last line.
- * @returns {string} The concatenation of trailingSpaces and indentSpaces.
- * @private
- */
-const replacerToRemovePaddingLines = (
-    _, trailingSpaces, indentSpaces) => trailingSpaces + indentSpaces
-
-/**
- * Check and report statements for `any` configuration.
- * @returns {void}
- * @private
- */
-const verifyForAny = () => {
-    // This does nothing, but the reporter needs a function to call.
-}
-
-/**
- * Check and report statements for `never` configuration.
- * This autofix removes blank lines between the given 2 statements.
- * However, if comments exist between 2 blank lines, it does not remove those
- * blank lines automatically.
- * @param {import('eslint').Rule.RuleContext} context
- * @param {import('estree').Node} _ - Unused. The previous node to check.
- * @param {import('estree').Node} nextNode - The next node to check.
- * @param {Array<import('eslint').AST.Token[]>} paddingLines - The array of
- * token pairs that blank lines exist between the pair.
- * @returns {void}
- * @private
- */
-const verifyForNever = (context, _, nextNode, paddingLines) => {
-    if (paddingLines.length === 0) {
-        return
-    }
-    context.report({
-        "fix": fixer => {
-            if (paddingLines.length >= 2) {
-                return null
-            }
-            const [[prevToken, nextToken]] = paddingLines
-            const [, start] = prevToken.range
-            const [end] = nextToken.range
-            const text = context.sourceCode.text
-                .slice(start, end)
-                .replace(PADDING_LINE_SEQUENCE, replacerToRemovePaddingLines)
-            return fixer.replaceTextRange([start, end], text)
-        },
-        "messageId": "unexpectedBlankLine",
-        "node": nextNode
-    })
-}
-
-/**
- * Check and report statements for `always` configuration.
- * This autofix inserts a blank line between the given 2 statements.
- * If the `prevNode` has trailing comments, it inserts a blank line after the
- * trailing comments.
- * @param {import('eslint').Rule.RuleContext} context
- * @param {import('estree').Node} prevNode - The previous node to check.
- * @param {import('estree').Node} nextNode - The next node to check.
- * @param {Array<import('eslint').AST.Token[]>} paddingLines - The array of
- * token pairs that blank lines exist between the pair.
- * @returns {void}
+ * Creates tester which check if a node is a variable declaration of a kind.
+ * The `const`, `let` and `var` declarations of arrow functions are not matched,
+ * as those are matched by the `arrow` statement type instead,
+ * unless arrows are included, as the multiline and singleline types do.
+ * @param {string} kind - The declaration kind, such as `const` or `using`.
+ * @param {boolean} includeArrows - Whether arrow functions also match.
+ * @returns {object} The created tester.
  * @private
  */
-const verifyForAlways = (context, prevNode, nextNode, paddingLines) => {
-    if (paddingLines.length > 0) {
-        return
-    }
-    context.report({
-        "fix": fixer => {
-            const {sourceCode} = context
-            /** @type {import('eslint').AST.Token|import('estree').Comment} */
-            let prevToken = getActualLastToken(sourceCode, prevNode)
-            const nextToken = sourceCode.getFirstTokenBetween(
-                prevToken,
-                nextNode,
-                {
-                    /**
-                     * Skip the trailing comments of the previous node.
-                     * This adds a blank line after the last trailing comment.
-                     *
-                     * For example:
-                     *
-                     *     foo(); // trailing comment.
-                     *     // comment.
-                     *     Bar();
-                     *
-                     * Get fixed to:
-                     *
-                     *     foo(); // trailing comment.
-                     *
-                     *     // comment.
-                     *     Bar();.
-                     * @param {import('eslint').AST.Token|import('estree').Comment} token
-                     * @returns {boolean} `true` if the comment is not trailing.
-                     * @private
-                     */
-                    "filter": token => {
-                        if (isTokenOnSameLine(prevToken, token)) {
-                            prevToken = token
-                            return false
-                        }
-                        return true
-                    },
-                    "includeComments": true
-                }
-            ) || nextNode
-            let insertText = "\n"
-            if (isTokenOnSameLine(prevToken, nextToken)) {
-                insertText += "\n"
-            }
-            return fixer.insertTextAfter(prevToken, insertText)
-        },
-        "messageId": "expectedBlankLine",
-        "node": nextNode
-    })
-}
+const newDeclarationKindTester = (kind, includeArrows = false) => ({
+    "test": node => node.type === "VariableDeclaration"
+        && node.kind === kind
+        && (includeArrows || !["const", "let", "var"].includes(kind)
+            || !isArrowFuntion(node))
+})
 
-/**
- * Types of blank lines.
- * `any`, `never`, and `always` are defined.
- * Those have `verify` method to check and report statements.
- * @private
- */
-const PaddingTypes = {
-    "always": {"verify": verifyForAlways},
-    "any": {"verify": verifyForAny},
-    "never": {"verify": verifyForNever}
-}
 /**
  * Types of statements.
  * Those have `test` method to check it matches to the given statement.
@@ -404,35 +192,31 @@ const StatementTypes = {
     "arrow": {
         "test": node => isArrowFuntion(node)
     },
+    "async-arrow": {
+        "test": node => isArrowFuntion(node)
+            && Boolean(node.declarations[0].init.async)
+    },
+    "await-using": newDeclarationKindTester("await using"),
     "block": newNodeTypeTester("BlockStatement"),
     "block-like": {
         "test": (node, sourceCode) => isBlockLikeStatement(sourceCode, node)
     },
     "break": newKeywordTester("break"),
     "case": newKeywordTester("case"),
-    "cjs-export": {
-        "test": (node, sourceCode) => node.type === "ExpressionStatement"
-            && node.expression.type === "AssignmentExpression"
-            && CJS_EXPORT.test(sourceCode.getText(node.expression.left))
-    },
-    "cjs-import": {
-        "test": (node, sourceCode) => node.type === "VariableDeclaration"
-            && node.declarations.length > 0
-            && Boolean(node.declarations[0].init)
-            && CJS_IMPORT.test(sourceCode.getText(node.declarations[0].init))
-    },
+    "cjs-export": {"test": isCjsExport},
+    "cjs-import": {"test": isCjsImport},
     "class": newKeywordTester("class"),
-    "const": {
-        "test": node => newKeywordTester("const") && !isArrowFuntion(node)
-    },
+    "const": newDeclarationKindTester("const"),
     "continue": newKeywordTester("continue"),
     "debugger": newKeywordTester("debugger"),
+    "declare": {"test": node => Boolean(node.declare)},
     "default": newKeywordTester("default"),
     "directive": {
         "test": isDirectivePrologue
     },
     "do": newKeywordTester("do"),
     "empty": newNodeTypeTester("EmptyStatement"),
+    "enum": newNodeTypeTester("TSEnumDeclaration"),
     "export": newKeywordTester("export"),
     "expression": {
         "test": (node, sourceCode) => node.type === "ExpressionStatement"
@@ -445,38 +229,199 @@ const StatementTypes = {
         "test": isIIFEStatement
     },
     "import": newKeywordTester("import"),
-    "let": {
-        "test": node => newKeywordTester("const") && !isArrowFuntion(node)
-    },
+    "interface": newNodeTypeTester("TSInterfaceDeclaration"),
+    "let": newDeclarationKindTester("let"),
+    "multiline-arrow": newMultilineTester({"test": isArrowFuntion}),
     "multiline-block-like": {
         "test": (node, sourceCode) => node.loc.start.line !== node.loc.end.line
             && isBlockLikeStatement(sourceCode, node)
     },
-    "multiline-const": newMultilineKeywordTester("const"),
+    "multiline-const": newMultilineTester(
+        newDeclarationKindTester("const", true)),
     "multiline-expression": {
         "test": (node, sourceCode) => node.loc.start.line !== node.loc.end.line
             && node.type === "ExpressionStatement"
             && !isDirectivePrologue(node, sourceCode)
     },
-    "multiline-let": newMultilineKeywordTester("let"),
-    "multiline-var": newMultilineKeywordTester("var"),
+    "multiline-let": newMultilineTester(
+        newDeclarationKindTester("let", true)),
+    "multiline-var": newMultilineTester(
+        newDeclarationKindTester("var", true)),
+    "namespace": newNodeTypeTester("TSModuleDeclaration"),
     "return": newKeywordTester("return"),
-    "singleline-const": newSinglelineKeywordTester("const"),
-    "singleline-let": newSinglelineKeywordTester("let"),
-    "singleline-var": newSinglelineKeywordTester("var"),
+    "singleline-arrow": newSinglelineTester({"test": isArrowFuntion}),
+    "singleline-const": newSinglelineTester(
+        newDeclarationKindTester("const", true)),
+    "singleline-let": newSinglelineTester(
+        newDeclarationKindTester("let", true)),
+    "singleline-var": newSinglelineTester(
+        newDeclarationKindTester("var", true)),
     "switch": newKeywordTester("switch"),
     "throw": newKeywordTester("throw"),
     "try": newKeywordTester("try"),
-    "var": newKeywordTester("var"),
+    "type": newNodeTypeTester("TSTypeAliasDeclaration"),
+    "using": newDeclarationKindTester("using"),
+    "var": newDeclarationKindTester("var"),
     "while": newKeywordTester("while"),
     "with": newKeywordTester("with")
 }
 
+/**
+ * Types of containers of statements.
+ * Those have `test` method to check it matches to the given container.
+ * @private
+ */
+const ContainerTypes = {
+    "block": newNodeTypeTester("BlockStatement"),
+    "function": {
+        "test": node => node.type === "BlockStatement" && isFunction(node.parent)
+    },
+    "if": {
+        "test": node => node.type === "BlockStatement"
+            && node.parent.type === "IfStatement"
+    },
+    "loop": {
+        "test": node => node.type === "BlockStatement"
+            && LOOP_STATEMENTS.has(node.parent.type)
+    },
+    "namespace": newNodeTypeTester("TSModuleBlock"),
+    "program": {
+        "test": node => node.type === "Program"
+            || node.type === "SvelteScriptElement"
+    },
+    "static-block": newNodeTypeTester("StaticBlock"),
+    "switch": {
+        "test": node => node.type === "SwitchCase"
+            || node.type === "SwitchStatement"
+    }
+}
+
+/**
+ * Gets the statements of a container, or the cases of a switch.
+ * @param {import('estree').Node} node - The container node.
+ * @returns {import('estree').Node[]} The statements in the container.
+ * @private
+ */
+const getContainerStatements = node => node.body ?? node.consequent
+    ?? node.cases ?? []
+
+const selectorCache = new Map()
+
+/**
+ * Parses the given selector, or gets it from the cache if parsed before.
+ * The selectors are parsed once and cached for the rest of the process.
+ * @param {string} selector - The esquery selector to parse.
+ * @returns {object} The parsed selector.
+ * @throws {SyntaxError} If the selector could not be parsed.
+ * @private
+ */
+const parseSelector = selector => {
+    if (!selectorCache.has(selector)) {
+        try {
+            selectorCache.set(selector, esquery.parse(selector))
+        } catch (err) {
+            throw new SyntaxError(`Invalid statement selector "${
+                selector}": ${err.message}`, {"cause": err})
+        }
+    }
+    return selectorCache.get(selector)
+}
+
+/**
+ * Checks whether the given node matches the given selector.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node - The statement node to check.
+ * @param {string} selector - The esquery selector to match.
+ * @returns {boolean} `true` if the statement node matched the selector.
+ * @private
+ */
+const matchSelector = (sourceCode, node, selector) => esquery.matches(
+    node, parseSelector(selector), sourceCode.getAncestors(node).reverse(),
+    {"visitorKeys": sourceCode.visitorKeys})
+
+/**
+ * Checks whether the given node matches the given type.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node - The statement node to check.
+ * @param {string|{selector: string}|(
+ *   string|{selector: string}
+ * )[]} type - The statement type or selector to check.
+ * @returns {boolean} `true` if the statement node matched the type.
+ * @private
+ */
+const match = (sourceCode, node, type) => {
+    let innerStatementNode = node
+    while (innerStatementNode.type === "LabeledStatement") {
+        innerStatementNode = innerStatementNode.body
+    }
+    if (Array.isArray(type)) {
+        return type.some(
+            innerType => match(sourceCode, innerStatementNode, innerType))
+    }
+    if (typeof type === "object") {
+        return matchSelector(sourceCode, innerStatementNode, type.selector)
+    }
+    return StatementTypes[type].test(innerStatementNode, sourceCode)
+}
+
+/**
+ * Checks whether the container of the statements matches a configure.
+ * Both the type of container and the number of statements are checked.
+ * @param {import('estree').Node} node - The container to check.
+ * @param {{in?: string|string[], maxStatements?: number,
+ *   minStatements?: number}} configure - The configure to match.
+ * @returns {boolean} `true` if the container matched the configure.
+ * @private
+ */
+const matchContainer = (node, configure) => {
+    const {length} = getContainerStatements(node)
+    if (length < (configure.minStatements ?? 0)
+        || length > (configure.maxStatements ?? Infinity)) {
+        return false
+    }
+    return configure.in === undefined || [configure.in].flat().some(
+        type => ContainerTypes[type].test(node))
+}
+
+/**
+ * Explains which configure of the `statements` rule applies to two statements.
+ * The last matching configure wins, so its index in the options is returned,
+ * which is also the `config` in the messages of the rule.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {object[]} configureList - The options of the rule.
+ * @param {import('estree').Node} prevNode - The previous statement to match.
+ * @param {import('estree').Node} nextNode - The current statement to match.
+ * @returns {{blankLine: string, configure: object|null, index: number}} The
+ * padding type, the matched configure and its index, or `-1` if none matched.
+ */
+export const explainPaddingType = (
+    sourceCode, configureList, prevNode, nextNode) => {
+    for (let i = configureList.length - 1; i >= 0; --i) {
+        const configure = configureList[i]
+        const matched
+            = match(sourceCode, prevNode, configure.prev)
+            && match(sourceCode, nextNode, configure.next)
+            && matchContainer(nextNode.parent, configure)
+        if (matched) {
+            return {"blankLine": configure.blankLine, configure, "index": i}
+        }
+    }
+    return {"blankLine": "any", "configure": null, "index": -1}
+}
+
 /** @type {import('eslint').Rule.RuleModule} */
 export default {
     "create": context => {
         const {sourceCode} = context
         const configureList = context.options || []
+        // Parse the selectors up front, so an invalid one fails before linting
+        for (const configure of configureList) {
+            for (const type of [configure.prev, configure.next].flat()) {
+                if (typeof type === "object") {
+                    parseSelector(type.selector)
+                }
+            }
+        }
         let scopeInfo = null
         /**
          * Processes to enter to new scope.
@@ -498,67 +443,6 @@ export default {
         const exitScope = () => {
             scopeInfo = scopeInfo.upper
         }
-        /**
-         * Checks whether the given node matches the given type.
-         * @param {import('estree').Node} node - The statement node to check.
-         * @param {string|string[]} type - The statement type to check.
-         * @returns {boolean} `true` if the statement node matched the type.
-         * @private
-         */
-        const match = (node, type) => {
-            let innerStatementNode = node
-            while (innerStatementNode.type === "LabeledStatement") {
-                innerStatementNode = innerStatementNode.body
-            }
-            if (Array.isArray(type)) {
-                return type.some(match.bind(null, innerStatementNode))
-            }
-            return StatementTypes[type].test(innerStatementNode, sourceCode)
-        }
-        /**
-         * Finds the last matched configure from configureList.
-         * @param {import('estree').Node} prevNode - The previous statement to match.
-         * @param {import('estree').Node} nextNode - The current statement to match.
-         * @returns {object} The tester of the last matched configure.
-         * @private
-         */
-        const getPaddingType = (prevNode, nextNode) => {
-            for (let i = configureList.length - 1; i >= 0; --i) {
-                const configure = configureList[i]
-                const matched
-                    = match(prevNode, configure.prev)
-                    && match(nextNode, configure.next)
-                if (matched) {
-                    return PaddingTypes[configure.blankLine]
-                }
-            }
-            return PaddingTypes.any
-        }
-        /**
-         * Gets padding line sequences between the given 2 statements.
-         * Comments are separators of the padding line sequences.
-         * @param {import('estree').Node} prevNode - The previous statement to count.
-         * @param {import('estree').Node} nextNode - The current statement to count.
-         * @returns {Array<import('eslint').AST.Token[]>} The array of token pairs.
-         * @private
-         */
-        const getPaddingLineSequences = (prevNode, nextNode) => {
-            const pairs = []
-            let prevToken = getActualLastToken(sourceCode, prevNode)
-            if (nextNode.loc.start.line - prevToken.loc.end.line >= 2) {
-                do {
-                    const token = sourceCode.getTokenAfter(
-                        prevToken,
-                        {"includeComments": true}
-                    )
-                    if (token.loc.start.line - prevToken.loc.end.line >= 2) {
-                        pairs.push([prevToken, token])
-                    }
-                    prevToken = token
-                } while (prevToken.range[0] < nextNode.range[0])
-            }
-            return pairs
-        }
         /**
          * Verify padding lines between the given node and the previous node.
          * @param {import('estree').Node} node - The node to verify.
@@ -577,9 +461,12 @@ export default {
             const {prevNode} = scopeInfo
             // Verify.
             if (prevNode) {
-                const type = getPaddingType(prevNode, node)
-                const paddingLines = getPaddingLineSequences(prevNode, node)
-                type.verify(context, prevNode, node, paddingLines)
+                const {blankLine, configure, index} = explainPaddingType(
+                    sourceCode, configureList, prevNode, node)
+                const paddingLines = getPaddingLineSequences(
+                    sourceCode, prevNode, node)
+                PaddingTypes[blankLine].verify(context,
+                    prevNode, node, paddingLines, {...configure, index})
             }
             scopeInfo.prevNode = node
         }
@@ -602,10 +489,16 @@ export default {
             "Program:exit": exitScope,
             "StaticBlock": enterScope,
             "StaticBlock:exit": exitScope,
+            "SvelteScriptElement": enterScope,
+            "SvelteScriptElement:exit": exitScope,
             "SwitchCase": verifyThenEnterScope,
             "SwitchCase:exit": exitScope,
             "SwitchStatement": enterScope,
-            "SwitchStatement:exit": exitScope
+            "SwitchStatement:exit": exitScope,
+            // Function overloads and declarations don't end with Declaration
+            "TSDeclareFunction": verify,
+            "TSModuleBlock": enterScope,
+            "TSModuleBlock:exit": exitScope
         }
     },
     "meta": {
@@ -628,20 +521,52 @@ export default {
             "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
         },
         "fixable": "whitespace",
+        "hasSuggestions": true,
         "messages": {
-            "expectedBlankLine": "Expected blank line above.",
-            "unexpectedBlankLine": "Unexpected blank line above."
+            "attachToNext": "Expected the comment to stick to the next statement.",
+            "attachToPrev": "Expected the comment to stick to the previous statement.",
+            "blankLineCount": "Expected {{expected}} blank lines above instead of {{actual}} ({{prev}} and {{next}}, config {{config}}).",
+            "expectedBlankLine": "Expected blank line above ({{prev}} and {{next}}, config {{config}}).",
+            "keepBlankLinesAbove": "Keep the blank lines above the comments.",
+            "keepBlankLinesBelow": "Keep the blank lines below the comments.",
+            "removeAllBlankLines": "Remove all blank lines.",
+            "unexpectedBlankLine": "Unexpected blank line above ({{prev}} and {{next}}, config {{config}})."
         },
         "schema": {
             "definitions": {
+                "containerType": {
+                    "anyOf": [
+                        {"enum": Object.keys(ContainerTypes)},
+                        {
+                            "items": {"enum": Object.keys(ContainerTypes)},
+                            "minItems": 1,
+                            "type": "array",
+                            "uniqueItems": true
+                        }
+                    ]
+                },
                 "paddingType": {
                     "enum": Object.keys(PaddingTypes)
                 },
+                "statementSelector": {
+                    "additionalProperties": false,
+                    "properties": {
+                        "selector": {"minLength": 1, "type": "string"}
+                    },
+                    "required": ["selector"],
+                    "type": "object"
+                },
                 "statementType": {
                     "anyOf": [
                         {"enum": Object.keys(StatementTypes)},
+                        {"$ref": "#/definitions/statementSelector"},
                         {
-                            "items": {"enum": Object.keys(StatementTypes)},
+                            "items": {
+                                "anyOf": [
+                                    {"enum": Object.keys(StatementTypes)},
+                                    {"$ref": "#/definitions/statementSelector"}
+                                ]
+                            },
                             "minItems": 1,
                             "type": "array",
                             "uniqueItems": true
@@ -653,6 +578,14 @@ export default {
                 "additionalProperties": false,
                 "properties": {
                     "blankLine": {"$ref": "#/definitions/paddingType"},
+                    "comments": {
+                        "enum": ["attach-to-next", "attach-to-prev", "ignore"]
+                    },
+                    "exact": {"minimum": 1, "type": "integer"},
+                    "in": {"$ref": "#/definitions/containerType"},
+                    "max": {"minimum": 1, "type": "integer"},
+                    "maxStatements": {"minimum": 0, "type": "integer"},
+                    "minStatements": {"minimum": 0, "type": "integer"},
                     "next": {"$ref": "#/definitions/statementType"},
                     "prev": {"$ref": "#/definitions/statementType"}
                 },
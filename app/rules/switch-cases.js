@@ -0,0 +1,134 @@
+import {
+    PaddingTypes,
+    fixPaddingLineCount,
+    getLineBreak,
+    getPaddingLineSequences,
+    getPaddingLineSequencesBetweenTokens,
+    suggestPaddingLineCount
+} from "../util.js"
+
+/** @type {import('eslint').Rule.RuleModule} */
+export default {
+    "create": context => {
+        const {sourceCode} = context
+        const {
+            between = "always", fallThrough = "never", start = "never"
+        } = context.options[0] || {}
+        const defaultCase = context.options[0]?.default ?? between
+        /**
+         * Finds the padding type for the gap between two cases.
+         * Cases without a body fall through to the next case,
+         * which groups them together with the next case.
+         * @param {import('estree').SwitchCase} prevCase - The previous case.
+         * @param {import('estree').SwitchCase} nextCase - The next case.
+         * @returns {"any"|"always"|"never"} The padding type of the gap.
+         * @private
+         */
+        const getPaddingType = (prevCase, nextCase) => {
+            if (prevCase.consequent.length === 0) {
+                return fallThrough
+            }
+            if (nextCase.test === null) {
+                return defaultCase
+            }
+            return between
+        }
+        /**
+         * Verify the padding between the opening brace and the first case.
+         * @param {import('estree').SwitchStatement} node - The switch.
+         * @private
+         */
+        const verifyStart = node => {
+            const [firstCase] = node.cases
+            if (!firstCase || start === "any") {
+                return
+            }
+            const openingBrace = sourceCode.getTokenBefore(firstCase)
+            const firstToken = sourceCode.getFirstToken(firstCase)
+            const paddingLines = getPaddingLineSequencesBetweenTokens(
+                sourceCode, openingBrace, firstToken)
+            const isPadded = paddingLines.length > 0
+            if (isPadded === (start === "always")) {
+                return
+            }
+            if (isPadded) {
+                context.report({
+                    "fix": fixer => {
+                        if (paddingLines.length >= 2) {
+                            return null
+                        }
+                        return fixPaddingLineCount(
+                            fixer, sourceCode, paddingLines[0], 0)
+                    },
+                    "messageId": "neverStart",
+                    "node": firstCase,
+                    "suggest": suggestPaddingLineCount(
+                        sourceCode, paddingLines, 0)
+                })
+                return
+            }
+            const lastOnLine = sourceCode.getTokensBetween(
+                openingBrace, firstToken, {"includeComments": true}
+            ).filter(token => token.loc.start.line
+                === openingBrace.loc.end.line).at(-1)
+            const lineBreak = getLineBreak(
+                sourceCode, [openingBrace.range[1], firstToken.range[0]])
+            let insertText = lineBreak
+            if (firstToken.loc.start.line === openingBrace.loc.end.line) {
+                insertText += lineBreak
+            }
+            context.report({
+                "fix": fixer => fixer.insertTextAfter(
+                    lastOnLine ?? openingBrace, insertText),
+                "messageId": "alwaysStart",
+                "node": firstCase
+            })
+        }
+        return {
+            /**
+             * Verify the padding after the opening brace and between cases.
+             * @param {import('estree').SwitchStatement} node - The switch.
+             */
+            "SwitchStatement": node => {
+                verifyStart(node)
+                for (let i = 1; i < node.cases.length; i++) {
+                    const prevCase = node.cases[i - 1]
+                    const nextCase = node.cases[i]
+                    const paddingLines = getPaddingLineSequences(
+                        sourceCode, prevCase, nextCase)
+                    PaddingTypes[getPaddingType(prevCase, nextCase)].verify(
+                        context, prevCase, nextCase, paddingLines)
+                }
+            }
+        }
+    },
+    "meta": {
+        "docs": {
+            "description": "Control padding lines between the cases of a switch",
+            "recommended": false,
+            "url": "https://github.com/Jelmerro/eslint-plugin-padding-lines"
+        },
+        "fixable": "whitespace",
+        "hasSuggestions": true,
+        "messages": {
+            "alwaysStart": "Expected blank line before the first case.",
+            "expectedBlankLine": "Expected blank line before this case.",
+            "neverStart": "Unexpected blank line before the first case.",
+            "removeAllBlankLines": "Remove all blank lines.",
+            "unexpectedBlankLine": "Unexpected blank line before this case."
+        },
+        "schema": [
+            {
+                "additionalProperties": false,
+                "properties": {
+                    "between": {"enum": Object.keys(PaddingTypes)},
+                    "default": {"enum": Object.keys(PaddingTypes)},
+                    "fallThrough": {"enum": Object.keys(PaddingTypes)},
+                    "start": {"enum": Object.keys(PaddingTypes)}
+                },
+                "type": "object"
+            }
+        ],
+        "type": "layout"
+    }
+}
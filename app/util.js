@@ -1,146 +1,1493 @@
+const LINEBREAKS = new Set(["\r\n", "\r", "\n", "\u2028", "\u2029"])
+const LT = `(?:${[...LINEBREAKS].join("|")})`
+const PADDING_LINE_SEQUENCE = new RegExp(
+    String.raw`^(\s*?${LT})\s*${LT}(\s*;?)$`, "u")
+const LINE_BREAK = /\r\n|[\r\n\u2028\u2029]/u
+const LINE_BREAK_AT_END = /(?:\r\n|[\r\n\u2028\u2029])$/u
+const CJS_EXPORT = /^(?:module\s*\.\s*)?exports(?:\s*\.|\s*\[|$)/u
+const CJS_IMPORT = /^require\(/u
+const SEPARATOR_TOKENS = new Set([",", ";", "(", ")"])
+const EMPTY_CRLF_LINE = /(?:^|\n)\r\n/u
+const LINE_INDENT = /(?<=^|[\r\n\u2028\u2029])[\t ]*(?=[^\r\n\u2028\u2029]*$)/u
+const anyFunctionPattern = /^(?:Function(?:Declaration|Expression)|ArrowFunctionExpression)$/u
+
 /**
- * Checks if there is padding between two tokens.
+ * Checks if the given token is a semicolon token or not.
+ * @param {import('eslint').AST.Token|import('estree').Comment} token
+ * @returns {boolean} `true` if the token is a semicolon token.
+ */
+export const isSemicolonToken = token => token.value === ";"
+    && token.type === "Punctuator"
+
+/**
+ * Determines whether two adjacent tokens are on the same line.
+ * @param {import('eslint').AST.Token|import('estree').Comment} left
+ * @param {import('eslint').AST.Token|import('estree').Comment} right
+ * @returns {boolean} Whether or not the tokens are on the same line.
+ * @public
+ */
+const isTokenOnSameLine = (
+    left, right) => left.loc?.end.line === right.loc?.start.line
+
+/**
+ * Checks if the given token is a comment.
+ * @param {import('eslint').AST.Token|import('estree').Comment} token
+ * @returns {boolean} `true` if the token is a line or block comment.
+ */
+const isCommentToken = token => token.type === "Line"
+    || token.type === "Block"
+
+/**
+ * Gets the actual last token.
+ *
+ * If a semicolon is semicolon-less style's semicolon, this ignores it.
+ * For example:
+ *
+ *     foo()
+ *     ;[1, 2, 3].forEach(bar).
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node - The node to get.
+ * @returns {import('eslint').AST.Token} The last token base on code and node.
+ * @private
+ */
+export const getActualLastToken = (sourceCode, node) => {
+    const semiToken = sourceCode.getLastToken(node)
+    const prevToken = sourceCode.getTokenBefore(semiToken)
+    const nextToken = sourceCode.getTokenAfter(semiToken)
+    const isSemicolonLessStyle = Boolean(
+        prevToken
+        && nextToken
+        && prevToken.range[0] >= node.range[0]
+        && isSemicolonToken(semiToken)
+        && semiToken.loc.start.line !== prevToken.loc.end.line
+        && semiToken.loc.end.line === nextToken.loc.start.line
+    )
+    if (isSemicolonLessStyle) {
+        return prevToken
+    }
+    return semiToken
+}
+
+/**
+ * This returns the concatenation of the first 2 captured strings.
+ * @param {string} _ - Unused. Whole matched string.
+ * @param {string} trailingSpaces - The trailing spaces of the first line.
+ * @param {string} indentSpaces - The indentation spaces of the last line.
+ * @returns {string} The concatenation of trailingSpaces and indentSpaces.
+ * @private
+ */
+const replacerToRemovePaddingLines = (
+    _, trailingSpaces, indentSpaces) => trailingSpaces + indentSpaces
+
+/**
+ * Creates a replacer which keeps the given number of blank lines.
+ * The added lines reuse the line break of the first line.
+ * @param {number} count - The number of blank lines to keep.
+ * @returns {(_: string, trailingSpaces: string, indentSpaces: string) => string}
+ * The replacer to use with the `PADDING_LINE_SEQUENCE` pattern.
+ * @private
+ */
+const replacerToKeepPaddingLines = count => (
+    _, trailingSpaces, indentSpaces) => {
+    const [lineBreak] = trailingSpaces.match(LINE_BREAK_AT_END) ?? ["\n"]
+    return trailingSpaces + lineBreak.repeat(count) + indentSpaces
+}
+
+/**
+ * Counts the blank lines of a padding line sequence.
+ * @param {import('eslint').AST.Token[]} paddingLine - The token pair
+ * with blank lines between them.
+ * @returns {number} The number of blank lines between the pair.
+ */
+export const countPaddingLines = ([prevToken, nextToken]) => nextToken.loc
+    .start.line - prevToken.loc.end.line - 1
+
+/**
+ * Fix the whitespace in a range to contain the given number of blank lines.
+ * The range should only contain whitespace with at least one blank line.
+ * @param {import('eslint').Rule.RuleFixer} fixer
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {[number, number]} range - The range of the whitespace.
+ * @param {number} count - The number of blank lines to keep.
+ * @returns {import('eslint').Rule.Fix} The fix to apply.
+ */
+export const fixPaddingLinesInRange = (fixer, sourceCode, range, count) => {
+    const text = sourceCode.text
+        .slice(...range)
+        .replace(PADDING_LINE_SEQUENCE, replacerToKeepPaddingLines(count))
+    return fixer.replaceTextRange(range, text)
+}
+
+/**
+ * Fix a padding line sequence to contain the given number of blank lines.
+ * @param {import('eslint').Rule.RuleFixer} fixer
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('eslint').AST.Token[]} paddingLine - The token pair
+ * with blank lines between them.
+ * @param {number} count - The number of blank lines to keep.
+ * @returns {import('eslint').Rule.Fix} The fix to apply.
+ */
+export const fixPaddingLineCount = (
+    fixer, sourceCode, [prevToken, nextToken], count) => fixPaddingLinesInRange(
+    fixer, sourceCode, [prevToken.range[1], nextToken.range[0]], count)
+
+/**
+ * Gets the line break to use for new lines in the given range.
+ * This is the first line break in the range, or else the first in the file,
+ * so that fixes match the existing line break style of the code.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {[number, number]} range - The range to look for a line break.
+ * @returns {string} The line break to insert.
+ */
+export const getLineBreak = (sourceCode, range) => {
+    const [lineBreak] = LINE_BREAK.exec(sourceCode.text.slice(...range))
+        ?? LINE_BREAK.exec(sourceCode.text) ?? ["\n"]
+    return lineBreak
+}
+
+/**
+ * Insert blank lines after a token, before the next token or comment.
+ * If both are on the same line, the next one moves to a new line
+ * with the indentation of the line of the token.
+ * @param {import('eslint').Rule.RuleFixer} fixer
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('eslint').AST.Token|import('estree').Comment} token - The
+ * token to insert the blank lines after.
+ * @param {import('eslint').AST.Token|import('estree').Comment} nextToken - The
+ * token or comment directly after it.
+ * @param {number} count - The number of blank lines to insert.
+ * @returns {import('eslint').Rule.Fix} The fix to apply.
+ */
+const insertPaddingLines = (fixer, sourceCode, token, nextToken, count) => {
+    /** @type {[number, number]} */
+    const range = [token.range[1], nextToken.range[0]]
+    const lineBreak = getLineBreak(sourceCode, range)
+    if (!isTokenOnSameLine(token, nextToken)) {
+        return fixer.insertTextAfterRange(token.range, lineBreak.repeat(count))
+    }
+    const [indent] = LINE_INDENT.exec(
+        sourceCode.text.slice(0, token.range[0])) ?? [""]
+    return fixer.replaceTextRange(
+        range, lineBreak.repeat(count + 1) + indent)
+}
+
+/**
+ * Gets the last token or comment on the line of a token, before a limit.
+ * This keeps separators and trailing comments on the line of the token.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('eslint').AST.Token} token - The token to start from.
+ * @param {import('eslint').AST.Token} limit - The token to stop before.
+ * @returns {import('eslint').AST.Token|import('estree').Comment} The last
+ * token or comment on the same line.
+ */
+const getLastTokenOnLine = (sourceCode, token, limit) => {
+    let lastToken = token
+    let nextToken = sourceCode.getTokenAfter(token, {"includeComments": true})
+    while (nextToken && nextToken.range[0] < limit.range[0]
+        && isTokenOnSameLine(lastToken, nextToken)) {
+        lastToken = nextToken
+        nextToken = sourceCode.getTokenAfter(
+            nextToken, {"includeComments": true})
+    }
+    return lastToken
+}
+
+/**
+ * Checks whether there is text between two tokens other than separators.
+ * Parsers for embedded code, like `vue-eslint-parser`, can combine multiple
+ * blocks in one AST, with the markup between the blocks as extra tokens
+ * or outside of any token. Those gaps are not checked,
+ * as they are not part of the code itself.
+ * Parentheses are not markup, as they wrap the items next to the gap.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('eslint').AST.Token} first - The first token.
+ * @param {import('eslint').AST.Token} second - The second token.
+ * @returns {boolean} `true` if there is text other than whitespace,
+ * comments, commas, semicolons and parentheses.
+ */
+export const hasTextBetweenTokens = (sourceCode, first, second) => {
+    let prevToken = first
+    for (const token of [...sourceCode.getTokensBetween(
+        first, second, {"includeComments": true}), second]) {
+        const text = sourceCode.text.slice(prevToken.range[1], token.range[0])
+        const isSeparator = isCommentToken(token)
+            || SEPARATOR_TOKENS.has(token.value)
+        if (/\S/u.test(text) || token !== second && !isSeparator) {
+            return true
+        }
+        prevToken = token
+    }
+    return false
+}
+
+/**
+ * Checks whether the number of blank lines is within the configured limits.
+ * @param {number} count - The number of blank lines.
+ * @param {{exact?: number, max?: number}} limits - The configured limits.
+ * @returns {boolean} `true` if the count is allowed by the limits.
+ */
+const isWithinBlankLineLimits = (count, {exact, max}) => {
+    if (exact !== undefined) {
+        return count === exact
+    }
+    return max === undefined || count <= max
+}
+
+/**
+ * Describes the expected number of blank lines for report messages.
+ * @param {{exact?: number, max?: number}} limits - The configured limits.
+ * @returns {string} The expected number of blank lines in words.
+ */
+const describeBlankLineLimits = ({exact, max}) => {
+    if (exact !== undefined) {
+        return String(exact)
+    }
+    if (max === undefined) {
+        return "at least 1"
+    }
+    return `at most ${max}`
+}
+
+/**
+ * Creates the data of a report about the padding between two nodes.
+ * The data fills the placeholders of the messages of a rule,
+ * which all rules that use the padding types get, even if unused.
+ * @param {import('estree').Node} prevNode - The previous node.
+ * @param {import('estree').Node} nextNode - The next node.
+ * @param {Array<import('eslint').AST.Token[]>} paddingLines - The array of
+ * token pairs that blank lines exist between the pair.
+ * @param {string} expected - The expected number of blank lines in words.
+ * @param {{index?: number}} options - The index of the matched configure.
+ * @returns {Record<string, string>} The data of the report.
+ */
+const getReportData = (
+    prevNode, nextNode, paddingLines, expected, options) => ({
+    "actual": String(paddingLines.reduce(
+        (sum, paddingLine) => sum + countPaddingLines(paddingLine), 0)),
+    "config": String(options.index ?? -1),
+    expected,
+    "next": nextNode.type,
+    "prev": prevNode.type
+})
+
+/**
+ * Check and report statements for `any` configuration.
+ * @returns {void}
+ * @private
+ */
+const verifyForAny = () => {
+    // This does nothing, but the reporter needs a function to call.
+}
+
+/**
+ * Creates the suggestions for blank lines that are split up by comments.
+ * The autofix leaves those blank lines alone, as it can't know on which side
+ * of the comments the blank lines belong, so each side is a suggestion.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {Array<import('eslint').AST.Token[]>} paddingLines - The array of
+ * token pairs that blank lines exist between the pair.
+ * @param {number} count - The number of blank lines to keep.
+ * @returns {import('eslint').Rule.SuggestionReportDescriptor[]} The
+ * suggestions, which are empty if the autofix can handle the blank lines.
+ */
+export const suggestPaddingLineCount = (
+    sourceCode, paddingLines, count) => {
+    if (paddingLines.length < 2) {
+        return []
+    }
+    /**
+     * Creates the fix that keeps the blank lines of a single sequence.
+     * @param {number} index - The index of the sequence to keep.
+     * @returns {(fixer: import('eslint').Rule.RuleFixer) => (
+     *   import('eslint').Rule.Fix[]
+     * )} The fix that removes the blank lines of the other sequences.
+     */
+    const keepSequence = index => fixer => paddingLines.map(
+        (paddingLine, i) => {
+            let keep = 0
+            if (i === index) {
+                keep = count
+            }
+            return fixPaddingLineCount(fixer, sourceCode, paddingLine, keep)
+        })
+    if (count === 0) {
+        return [{"fix": keepSequence(-1), "messageId": "removeAllBlankLines"}]
+    }
+    return [
+        {"fix": keepSequence(0), "messageId": "keepBlankLinesAbove"},
+        {
+            "fix": keepSequence(paddingLines.length - 1),
+            "messageId": "keepBlankLinesBelow"
+        }
+    ]
+}
+
+/**
+ * Check and report statements for `never` configuration.
+ * This autofix removes blank lines between the given 2 statements.
+ * However, if comments exist between 2 blank lines, it does not remove those
+ * blank lines automatically.
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {import('estree').Node} prevNode - The previous node to check.
+ * @param {import('estree').Node} nextNode - The next node to check.
+ * @param {Array<import('eslint').AST.Token[]>} paddingLines - The array of
+ * token pairs that blank lines exist between the pair.
+ * @param {{index?: number}} options - The index of the matched configure.
+ * @returns {void}
+ * @private
+ */
+const verifyForNever = (
+    context, prevNode, nextNode, paddingLines, options = {}) => {
+    const {sourceCode} = context
+    const isEmbeddedGap = hasTextBetweenTokens(sourceCode,
+        getActualLastToken(sourceCode, prevNode),
+        sourceCode.getFirstToken(nextNode))
+    if (paddingLines.length === 0 || isEmbeddedGap) {
+        return
+    }
+    context.report({
+        "data": getReportData(prevNode, nextNode, paddingLines, "0", options),
+        "fix": fixer => {
+            if (paddingLines.length >= 2) {
+                return null
+            }
+            const [[prevToken, nextToken]] = paddingLines
+            const [, start] = prevToken.range
+            const [end] = nextToken.range
+            const text = context.sourceCode.text
+                .slice(start, end)
+                .replace(PADDING_LINE_SEQUENCE, replacerToRemovePaddingLines)
+            return fixer.replaceTextRange([start, end], text)
+        },
+        "messageId": "unexpectedBlankLine",
+        "node": nextNode,
+        "suggest": suggestPaddingLineCount(sourceCode, paddingLines, 0)
+    })
+}
+
+/**
+ * Check and report statements for `always` configuration.
+ * This autofix inserts a blank line between the given 2 statements.
+ * If the `prevNode` has trailing comments, it inserts a blank line after the
+ * trailing comments, or after the leading comments with `attach-to-prev`.
+ * With `exact` or `max` limits, the number of blank lines is also checked,
+ * which is only fixed if there is a single padding line sequence.
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {import('estree').Node} prevNode - The previous node to check.
+ * @param {import('estree').Node} nextNode - The next node to check.
+ * @param {Array<import('eslint').AST.Token[]>} paddingLines - The array of
+ * token pairs that blank lines exist between the pair.
+ * @param {{
+ *   comments?: "attach-to-next"|"attach-to-prev"|"ignore",
+ *   exact?: number,
+ *   index?: number,
+ *   max?: number
+ * }} options - The comments policy, limits and index of the configure.
+ * @returns {void}
+ * @private
+ */
+const verifyForAlways = (
+    context, prevNode, nextNode, paddingLines, options = {}) => {
+    const {sourceCode} = context
+    const lastToken = getActualLastToken(sourceCode, prevNode)
+    const firstToken = sourceCode.getFirstToken(nextNode)
+    if (hasTextBetweenTokens(sourceCode, lastToken, firstToken)) {
+        return
+    }
+    const pairs = getCommentPaddingPairs(
+        sourceCode, lastToken, firstToken, options.comments ?? "ignore")
+    const data = getReportData(prevNode, nextNode,
+        paddingLines, describeBlankLineLimits(options), options)
+    if (paddingLines.length > 0) {
+        if (reportMisplacedPadding(context, pairs, nextNode, options, data)) {
+            return
+        }
+        if (isWithinBlankLineLimits(Number(data.actual), options)) {
+            return
+        }
+        context.report({
+            data,
+            "fix": fixer => {
+                if (paddingLines.length >= 2) {
+                    return null
+                }
+                return fixPaddingLineCount(fixer, sourceCode,
+                    paddingLines[0], options.exact ?? options.max ?? 1)
+            },
+            "messageId": "blankLineCount",
+            "node": nextNode,
+            "suggest": suggestPaddingLineCount(sourceCode,
+                paddingLines, options.exact ?? options.max ?? 1)
+        })
+        return
+    }
+    context.report({
+        "fix": fixer => {
+            if (options.comments === "attach-to-prev" && pairs.attached) {
+                return insertPaddingLines(fixer, sourceCode,
+                    pairs.padded[0], pairs.padded[1], options.exact ?? 1)
+            }
+            /** @type {import('eslint').AST.Token|import('estree').Comment} */
+            let prevToken = getActualLastToken(sourceCode, prevNode)
+            const nextToken = sourceCode.getFirstTokenBetween(
+                prevToken,
+                nextNode,
+                {
+                    /**
+                     * Skip the trailing comments of the previous node.
+                     * This adds a blank line after the last trailing comment.
+                     *
+                     * For example:
+                     *
+                     *     foo(); // trailing comment.
+                     *     // comment.
+                     *     Bar();
+                     *
+                     * Get fixed to:
+                     *
+                     *     foo(); // trailing comment.
+                     *
+                     *     // comment.
+                     *     Bar();.
+                     *
+                     * Stray semicolons on their own line, such as the empty
+                     * elements of a class body, are skipped the same way.
+                     * @param {import('eslint').AST.Token|import('estree').Comment} token
+                     * @returns {boolean} `true` if the comment is not trailing.
+                     * @private
+                     */
+                    "filter": token => {
+                        const isStraySemicolon = isSemicolonToken(token)
+                            && !isTokenOnSameLine(token, firstToken)
+                        if (isTokenOnSameLine(prevToken, token)
+                            || isStraySemicolon) {
+                            prevToken = token
+                            return false
+                        }
+                        return true
+                    },
+                    "includeComments": true
+                }
+            ) || nextNode
+            return insertPaddingLines(
+                fixer, sourceCode, prevToken, nextToken, options.exact ?? 1)
+        },
+        data,
+        "messageId": "expectedBlankLine",
+        "node": nextNode
+    })
+}
+
+/**
+ * Determines if a node is surrounded by parentheses.
  * @param {import('eslint').SourceCode} sourceCode - The source code object.
+ * @param {import('estree').Node} node - The node to be checked.
+ * @returns {boolean} True if the node is parenthesised.
+ * @private
+ */
+const isParenthesised = (sourceCode, node) => {
+    const previousToken = sourceCode.getTokenBefore(node)
+    const nextToken = sourceCode.getTokenAfter(node)
+    return !!previousToken && !!nextToken
+        && previousToken.value === "("
+        && previousToken.range[1] <= (node.range?.[0] ?? -1)
+        && nextToken?.value === ")"
+        && nextToken.range[0] >= (node.range?.[1] ?? -1)
+}
+
+/**
+ * Checks whether a given node is a function node or not.
+ * The following types are function nodes:
+ *
+ * - ArrowFunctionExpression
+ * - FunctionDeclaration
+ * - FunctionExpression.
+ * @param {import('estree').Node|null} node - A node to check.
+ * @returns {boolean} `true` if the node is a function node.
+ */
+export const isFunction = node => Boolean(
+    node && anyFunctionPattern.test(node.type))
+
+/**
+ * Check whether the given node is a directive or not.
+ * @param {import('estree').Node} node - The node to check.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {boolean} `true` if the node is a directive.
+ */
+const isDirective = (node, sourceCode) => node.type === "ExpressionStatement"
+    && (node.parent.type === "Program" || node.parent.type === "BlockStatement"
+        && isFunction(node.parent.parent))
+    && node.expression.type === "Literal"
+    && typeof node.expression.value === "string"
+    && !isParenthesised(sourceCode, node.expression)
+
+/**
+ * Check whether the given node is a part of directive prologue or not.
+ * @param {import('estree').Node} node
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {boolean} `true` if the node is a part of directive prologue.
+ */
+export const isDirectivePrologue = (node, sourceCode) => {
+    if (isDirective(node, sourceCode)) {
+        for (const sibling of node.parent.body) {
+            if (sibling === node) {
+                break
+            }
+            if (!isDirective(sibling, sourceCode)) {
+                return false
+            }
+        }
+        return true
+    }
+    return false
+}
+
+/**
+ * Checks whether the given node is an assignment to a CommonJS export.
+ * @param {import('estree').Node} node - The statement node to check.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {boolean} `true` if the node assigns to `exports` or a property.
+ */
+export const isCjsExport = (node, sourceCode) => node.type
+    === "ExpressionStatement"
+    && node.expression.type === "AssignmentExpression"
+    && CJS_EXPORT.test(sourceCode.getText(node.expression.left))
+
+/**
+ * Checks whether the given node is a declaration of a CommonJS import.
+ * @param {import('estree').Node} node - The statement node to check.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {boolean} `true` if the node declares the result of `require()`.
+ */
+export const isCjsImport = (node, sourceCode) => node.type
+    === "VariableDeclaration"
+    && node.declarations.length > 0
+    && Boolean(node.declarations[0].init)
+    && CJS_IMPORT.test(sourceCode.getText(node.declarations[0].init))
+
+/**
+ * Types of blank lines.
+ * `any`, `never`, and `always` are defined.
+ * Those have `verify` method to check and report statements.
+ * @private
+ */
+export const PaddingTypes = {
+    "always": {"verify": verifyForAlways},
+    "any": {"verify": verifyForAny},
+    "never": {"verify": verifyForNever}
+}
+
+/**
+ * Gets padding line sequences between the given 2 tokens.
+ * Comments and other tokens are separators of the padding line sequences.
+ * @param {import('eslint').SourceCode} sourceCode
  * @param {import('eslint').AST.Token} first - The first token.
  * @param {import('eslint').AST.Token} second - The second token.
- * @returns {boolean} True if there is at least a line between the tokens.
+ * @returns {Array<import('eslint').AST.Token[]>} The array of token pairs.
+ */
+export const getPaddingLineSequencesBetweenTokens = (
+    sourceCode, first, second) => {
+    const pairs = []
+    let prevToken = first
+    if (second.loc.start.line - prevToken.loc.end.line >= 2) {
+        do {
+            const token = sourceCode.getTokenAfter(
+                prevToken,
+                {"includeComments": true}
+            )
+            if (token.loc.start.line - prevToken.loc.end.line >= 2) {
+                pairs.push([prevToken, token])
+            }
+            prevToken = token
+        } while (prevToken.range[0] < second.range[0])
+    }
+    return pairs
+}
+
+/**
+ * Gets padding line sequences between the given 2 nodes.
+ * Comments are separators of the padding line sequences.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} prevNode - The previous node to count.
+ * @param {import('estree').Node} nextNode - The current node to count.
+ * @returns {Array<import('eslint').AST.Token[]>} The array of token pairs.
+ */
+export const getPaddingLineSequences = (
+    sourceCode, prevNode, nextNode) => getPaddingLineSequencesBetweenTokens(
+    sourceCode,
+    getActualLastToken(sourceCode, prevNode),
+    sourceCode.getFirstToken(nextNode)
+)
+
+/**
+ * Counts the blank lines between two tokens, excluding lines with comments.
+ * @param {import('eslint').SourceCode} sourceCode - The source code object.
+ * @param {import('eslint').AST.Token} first - The first token.
+ * @param {import('eslint').AST.Token} second - The second token.
+ * @returns {number} The number of blank lines between the tokens.
+ */
+export const countPaddingLinesBetweenTokens = (
+    sourceCode, first, second) => getPaddingLineSequencesBetweenTokens(
+    sourceCode, first, second
+).reduce((sum, paddingLine) => sum + countPaddingLines(paddingLine), 0)
+
+/**
+ * Gets the token pairs around the comments between two tokens.
+ * Comments on the same line as the first token are trailing comments of it,
+ * the comments on the lines after it are leading comments of the second token.
+ * With `attach-to-next` the blank line belongs above the leading comments,
+ * with `attach-to-prev` it belongs below them, both other gaps are attached.
+ * With `ignore` or without leading comments, the whole gap can be padded.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('eslint').AST.Token} first - The first token.
+ * @param {import('eslint').AST.Token} second - The second token.
+ * @param {"attach-to-next"|"attach-to-prev"|"ignore"} comments - The policy.
+ * @returns {{
+ *   attached: import('eslint').AST.Token[]|null,
+ *   padded: import('eslint').AST.Token[]
+ * }} The token pair without padding and the token pair for the padding.
  */
-export const isPaddingBetweenTokens = (sourceCode, first, second) => {
-    const comments = sourceCode.getCommentsBefore(second)
-    const len = comments.length
-    // If there is no comments
-    if (len === 0) {
-        const linesBetweenFstAndSnd = second.loc.start.line
-            - first.loc.end.line - 1
-        return linesBetweenFstAndSnd >= 1
-    }
-    // If there are comments
-    let sumOfCommentLines = 0
-    let prevCommentLineNum = -1
-    for (let i = 0; i < len; i++) {
-        const loc = comments[i]?.loc
-        if (!loc) {
+const getCommentPaddingPairs = (sourceCode, first, second, comments) => {
+    if (comments === "ignore") {
+        return {"attached": null, "padded": [first, second]}
+    }
+    let lastTrailing = first
+    const leading = []
+    for (const token of sourceCode.getTokensBetween(
+        first, second, {"includeComments": true})) {
+        if (leading.length === 0 && isTokenOnSameLine(lastTrailing, token)) {
+            lastTrailing = token
             continue
         }
-        const commentLinesOfThisComment = loc.end.line - loc.start.line + 1
-        sumOfCommentLines += commentLinesOfThisComment
-        /*
-         * If this comment and the previous comment are in the same line,
-         * the count of comment lines is duplicated. So decrement once.
-         */
-        if (prevCommentLineNum === loc.start.line) {
-            sumOfCommentLines -= 1
+        leading.push(token)
+    }
+    if (leading.length === 0 || leading.some(token => !isCommentToken(token))) {
+        return {"attached": null, "padded": [lastTrailing, second]}
+    }
+    if (comments === "attach-to-prev") {
+        return {
+            "attached": [lastTrailing, leading[0]],
+            "padded": [leading.at(-1), second]
         }
-        prevCommentLineNum = loc.end.line
     }
-    /*
-     * If the first block and the first comment are in the same line,
-     * the count of comment lines is duplicated. So decrement sumOfCommentLines.
+    return {
+        "attached": [leading.at(-1), second],
+        "padded": [lastTrailing, leading[0]]
+    }
+}
+
+/**
+ * Report a blank line on the wrong side of the comments between two tokens.
+ * The autofix removes the blank lines between the attached tokens,
+ * and inserts a blank line between the padded tokens if there is none.
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {ReturnType<typeof getCommentPaddingPairs>} pairs - The token pairs.
+ * @param {import('estree').Node} node - The node to report.
+ * @param {{
+ *   comments?: "attach-to-next"|"attach-to-prev"|"ignore", exact?: number
+ * }} options - The comments policy and limits.
+ * @param {Record<string, string>} data - The data of the report.
+ * @returns {boolean} `true` if the padding was misplaced and reported.
+ */
+const reportMisplacedPadding = (context, pairs, node, options, data) => {
+    if (!pairs.attached) {
+        return false
+    }
+    const sourceCode = getTokenStore(context.sourceCode)
+    const attachedLines = getPaddingLineSequencesBetweenTokens(
+        sourceCode, pairs.attached[0], pairs.attached[1])
+    const paddedLines = getPaddingLineSequencesBetweenTokens(
+        sourceCode, pairs.padded[0], pairs.padded[1])
+    if (attachedLines.length === 0 && paddedLines.length > 0) {
+        return false
+    }
+    let messageId = "attachToNext"
+    if (options.comments === "attach-to-prev") {
+        messageId = "attachToPrev"
+    }
+    context.report({
+        data,
+        "fix": fixer => {
+            const fixes = attachedLines.map(
+                paddingLine => fixPaddingLineCount(
+                    fixer, sourceCode, paddingLine, 0))
+            if (paddedLines.length === 0) {
+                fixes.push(insertPaddingLines(fixer, sourceCode,
+                    pairs.padded[0], pairs.padded[1], options.exact ?? 1))
+            }
+            return fixes
+        },
+        messageId,
+        node
+    })
+    return true
+}
+
+/**
+ * Checks if there is padding between two tokens.
+ * @param {import('eslint').SourceCode} sourceCode - The source code object.
+ * @param {import('eslint').AST.Token} first - The first token.
+ * @param {import('eslint').AST.Token} second - The second token.
+ * @returns {boolean} True if there is at least a line between the tokens.
+ */
+export const isPaddingBetweenTokens = (
+    sourceCode, first, second) => countPaddingLinesBetweenTokens(
+    sourceCode, first, second) >= 1
+
+/**
+ * Checks whether the given node spans multiple lines.
+ * @param {import('estree').Node|null} node - The node to check.
+ * @returns {boolean} `true` if the node starts and ends on different lines.
+ */
+const isMultilineNode = node => Boolean(node)
+    && node.loc.start.line !== node.loc.end.line
+
+/**
+ * Nodes with a list of items that a newline reporter can check.
+ * Those have `items` method to get the list and the option name of its size.
+ * @private
+ */
+const ListNodes = {
+    "Array": {
+        "items": node => node.elements, "minKey": "minElements"
+    },
+    "ArrayExpression": {
+        "items": node => node.elements, "minKey": "minElements"
+    },
+    "ArrayPattern": {
+        "items": node => node.elements, "minKey": "minElements"
+    },
+    "ArrowFunctionExpression": {
+        "items": node => node.params, "minKey": "minParameters"
+    },
+    "CallExpression": {
+        "items": node => node.arguments, "minKey": "minArguments"
+    },
+    "FunctionDeclaration": {
+        "items": node => node.params, "minKey": "minParameters"
+    },
+    "FunctionExpression": {
+        "items": node => node.params, "minKey": "minParameters"
+    },
+    "JSONArrayExpression": {
+        "items": node => node.elements, "minKey": "minElements"
+    },
+    "JSONObjectExpression": {
+        "items": node => node.properties, "minKey": "minProperties"
+    },
+    "NewExpression": {
+        "items": node => node.arguments, "minKey": "minArguments"
+    },
+    "Object": {
+        "items": node => node.members, "minKey": "minProperties"
+    },
+    "ObjectExpression": {
+        "items": node => node.properties, "minKey": "minProperties"
+    },
+    "ObjectPattern": {
+        "items": node => node.properties, "minKey": "minProperties"
+    },
+    "TSEnumDeclaration": {
+        // Enum members moved to the enum body in typescript-eslint v8
+        "items": node => node.body?.members ?? node.members,
+        "minKey": "minProperties"
+    },
+    "TSInterfaceBody": {
+        "items": node => node.body, "minKey": "minProperties"
+    },
+    "TSTypeLiteral": {
+        "items": node => node.members, "minKey": "minProperties"
+    }
+}
+const OPENING_TOKENS = new Set(["(", "[", "{"])
+
+/**
+ * Gets the first and last token of an item, including its own parentheses.
+ * Only the brackets of the list itself are the edges of the list,
+ * so the parentheses of a call around a single argument are not included.
+ * Parameters can't be parenthesised, so those are never expanded.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} list - The list node of the item.
+ * @param {import('estree').Node} item - The item of the list.
+ * @returns {import('eslint').AST.Token[]} The first and last token.
+ */
+const getItemTokens = (sourceCode, list, item) => {
+    let first = sourceCode.getFirstToken(item)
+    let last = sourceCode.getLastToken(item)
+    if (isFunction(list)) {
+        return [first, last]
+    }
+    const listLast = sourceCode.getLastToken(list)
+    let before = sourceCode.getTokenBefore(first)
+    let after = sourceCode.getTokenAfter(last)
+    while (before?.value === "(" && after?.value === ")"
+        && after.range[0] !== listLast.range[0]) {
+        first = before
+        last = after
+        before = sourceCode.getTokenBefore(first)
+        after = sourceCode.getTokenAfter(last)
+    }
+    return [first, last]
+}
+const CLOSING_TOKENS = new Set([")", "]", "}"])
+const LITERAL_ITEMS = new Set(["Element", "JSONProperty", "Member", "Property"])
+const LITERAL_LISTS = new Set([
+    "Array",
+    "ArrayExpression",
+    "JSONArrayExpression",
+    "JSONObjectExpression",
+    "Object",
+    "ObjectExpression"
+])
+const JSON_DOCUMENTS = new Set(["Document", "JSONExpressionStatement"])
+const KEY_PREFIX = /^.[^-_./:A-Z]*(?=[-_./:A-Z])/u
+const LIST_MODES = ["always", "never", "multiline", "consistent", "group"]
+const SPREAD_ITEMS = new Set(["RestElement", "SpreadElement"])
+const JSON_COMMENT_TYPES = {"BlockComment": "Block", "LineComment": "Line"}
+/** @type {WeakMap<object, import('eslint').SourceCode>} */
+const tokenStores = new WeakMap()
+
+/**
+ * Creates a token store for the tokens of an `@eslint/json` document.
+ * Its source code can only get the tokens directly before or after a node,
+ * so the tokens are converted to ESTree tokens with a matching store.
+ * @param {object & {ast: {tokens?: object[]}, text: string}} sourceCode
+ * @returns {import('eslint').SourceCode} The token store for the document.
+ */
+const createJsonTokenStore = sourceCode => {
+    const tokens = (sourceCode.ast.tokens ?? []).map(token => ({
+        "loc": token.loc,
+        "range": token.range,
+        "type": JSON_COMMENT_TYPES[token.type] ?? token.type,
+        "value": sourceCode.text.slice(...token.range)
+    }))
+    /**
+     * Finds the index of the first token that starts at or after an offset.
+     * @param {number} offset - The offset in the text.
+     * @returns {number} The index of the token, or the number of tokens.
      */
-    if (first.loc.end.line === comments[0].loc?.start.line) {
-        sumOfCommentLines -= 1
+    const findIndex = offset => {
+        let low = 0
+        let high = tokens.length
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2)
+            if (tokens[middle].range[0] < offset) {
+                low = middle + 1
+                continue
+            }
+            high = middle
+        }
+        return low
     }
-    /*
-     * If the last comment and the second block are in the same line,
-     * the count of comment lines is duplicated. So decrement sumOfCommentLines.
+    /**
+     * Gets the range of a node or token.
+     * The `Element` and `Member` nodes only store the offsets in their loc.
+     * @param {object} nodeOrToken - The node or token.
+     * @returns {[number, number]} The range of the node or token.
+     */
+    const getRange = nodeOrToken => nodeOrToken.range
+        ?? [nodeOrToken.loc.start.offset, nodeOrToken.loc.end.offset]
+    /**
+     * Gets the token at an index, optionally skipping over the comments.
+     * @param {number} index - The index to start from.
+     * @param {1|-1} step - The direction to skip comments in.
+     * @param {boolean} includeComments - Whether comments can be returned.
+     * @returns {object|null} The token, or null if there is none.
      */
-    if (comments[len - 1].loc?.end.line === second.loc.start.line) {
-        sumOfCommentLines -= 1
+    const getToken = (index, step, includeComments) => {
+        let current = index
+        while (!includeComments && tokens[current]
+            && isCommentToken(tokens[current])) {
+            current += step
+        }
+        return tokens[current] ?? null
+    }
+    return /** @type {import('eslint').SourceCode} */ (/** @type {unknown} */ ({
+        "getAncestors": node => sourceCode.getAncestors(node),
+        "getFirstToken": node => getToken(
+            findIndex(getRange(node)[0]), 1, false),
+        "getLastToken": node => getToken(
+            findIndex(getRange(node)[1]) - 1, -1, false),
+        "getTokenAfter": (nodeOrToken, {includeComments = false} = {}) => (
+            getToken(findIndex(getRange(nodeOrToken)[1]), 1, includeComments)),
+        "getTokenBefore": (nodeOrToken, {includeComments = false} = {}) => (
+            getToken(
+                findIndex(getRange(nodeOrToken)[0]) - 1, -1, includeComments)),
+        "getTokensBetween": (first, second, {includeComments = false} = {}) => (
+            tokens.slice(findIndex(first.range[1]), findIndex(second.range[0]))
+                .filter(token => includeComments || !isCommentToken(token))),
+        "text": sourceCode.text
+    }))
+}
+
+/**
+ * Gets the token store of a source code, which is usually the source code.
+ * Languages without the ESTree token methods, like `@eslint/json`,
+ * get a separate token store that is reused for the rest of the document.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {import('eslint').SourceCode} The source code or token store.
+ */
+const getTokenStore = sourceCode => {
+    if (typeof sourceCode.getFirstToken === "function") {
+        return sourceCode
+    }
+    if (!tokenStores.has(sourceCode)) {
+        tokenStores.set(sourceCode, createJsonTokenStore(sourceCode))
+    }
+    return tokenStores.get(sourceCode) ?? sourceCode
+}
+
+/**
+ * Wrap the context of a rule to leave out the fixes that can't be mapped back
+ * to the file that a processor extracted the code from.
+ * The Markdown processor counts the `\r` of an empty line as indentation,
+ * which moves every position after it in indented code blocks,
+ * so fixes and suggestions that reach past such a line are not offered.
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {import('eslint').Rule.RuleContext} The context to report with.
+ */
+export const withMappableFixes = context => {
+    const {filename, physicalFilename, sourceCode} = context
+    const emptyLine = EMPTY_CRLF_LINE.exec(sourceCode.text)
+    if (filename === physicalFilename || !emptyLine) {
+        return context
+    }
+    const limit = emptyLine.index + emptyLine[0].length - 2
+    /**
+     * Wrap a fix function to drop the fix if any part is past the limit.
+     * @param {import('eslint').Rule.ReportFixer} fix - The fix function.
+     * @returns {import('eslint').Rule.ReportFixer} The wrapped fix function.
+     */
+    const guardFix = fix => fixer => {
+        const result = fix(fixer)
+        // The rules only return single fixes or arrays of them
+        const fixes = /** @type {import('eslint').Rule.Fix[]} */ (
+            [result ?? []].flat())
+        if (fixes.every(({range}) => range[1] < limit)) {
+            return result
+        }
+        return null
+    }
+    return Object.create(context, {
+        "report": {
+            /**
+             * Report a problem with only the fixes that can be mapped.
+             * @param {import('eslint').Rule.ReportDescriptor} descriptor
+             */
+            "value": descriptor => context.report({
+                ...descriptor,
+                "fix": descriptor.fix && guardFix(descriptor.fix),
+                "suggest": descriptor.suggest?.map(suggestion => ({
+                    ...suggestion, "fix": guardFix(suggestion.fix)
+                }))
+            })
+        }
+    })
+}
+
+/**
+ * Checks whether the given node only contains data that is valid JSON.
+ * @param {import('estree').Node|null} node - The node to check.
+ * @returns {boolean} `true` if the node is a JSON value.
+ */
+const isJsonValue = node => {
+    if (!node) {
+        return false
+    }
+    if (node.type === "Literal") {
+        return !("regex" in node) && !("bigint" in node)
+    }
+    if (node.type === "UnaryExpression") {
+        return node.operator === "-" && node.argument.type === "Literal"
+            && typeof node.argument.value === "number"
     }
-    const linesBetweenFstAndSnd = second.loc.start.line - first.loc.end.line - 1
-    return linesBetweenFstAndSnd - sumOfCommentLines >= 1
+    if (node.type === "ArrayExpression") {
+        return node.elements.every(isJsonValue)
+    }
+    if (node.type === "ObjectExpression") {
+        return node.properties.every(prop => prop.type === "Property"
+            && !prop.computed && !prop.method && !prop.shorthand
+            && prop.kind === "init" && isJsonValue(prop.value))
+    }
+    return false
+}
+
+/**
+ * Gets the outermost array or object literal that contains the given node.
+ * Nested literals are part of the same data structure as their parent,
+ * which makes the parent of this root the context of all of them.
+ * The JSON nodes of `jsonc-eslint-parser` and `@eslint/json` are included.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node - The list node to start from.
+ * @returns {{
+ *   parent: import('estree').Node|null, root: import('estree').Node
+ * }} The root of the literal data and its parent.
+ */
+const getRootLiteral = (sourceCode, node) => {
+    const ancestors = sourceCode.getAncestors(node).reverse()
+    let root = node
+    let parentIndex = 0
+    for (let i = 0; i < ancestors.length; i++) {
+        const ancestor = ancestors[i]
+        const isItemOfRoot = LITERAL_ITEMS.has(ancestor.type)
+            && i === parentIndex && ancestor.value === root
+        if (!isItemOfRoot) {
+            if (!LITERAL_LISTS.has(ancestor.type)) {
+                break
+            }
+            root = ancestor
+            parentIndex = i + 1
+        }
+    }
+    return {"parent": ancestors[parentIndex] ?? null, root}
+}
+
+/**
+ * Contexts in which a list can be found, based on its root literal.
+ * Those have `test` method to check it matches to the given root.
+ * @private
+ */
+const ListContexts = {
+    "argument": {
+        "test": (root, parent) => ["CallExpression", "NewExpression"]
+            .includes(parent?.type) && parent.arguments.includes(root)
+    },
+    "export-default": {
+        "test": (_, parent) => parent?.type === "ExportDefaultDeclaration"
+    },
+    "initializer": {
+        "test": (root, parent) => parent?.type === "VariableDeclarator"
+            && parent.init === root
+    },
+    "json": {
+        "test": (root, parent) => JSON_DOCUMENTS.has(parent?.type)
+            || isJsonValue(root)
+    }
+}
+
+/**
+ * Gets the name of the key of an item, such as a property or a member.
+ * @param {import('estree').Node} item - The item of the list.
+ * @returns {string|null} The name of the key, or null if it has none.
+ */
+const getKeyName = item => {
+    const key = item.key ?? item.name ?? item.id
+    if (!key || item.computed) {
+        return null
+    }
+    if (key.type === "Identifier") {
+        return key.name
+    }
+    return String(key.value)
 }
 
 /**
- * Create a newline reporter for either objects or arrays.
- * @param {"ObjectExpression"|"ArrayExpression"} expressionName
+ * Ways to group the items of a list for the `group` mode.
+ * Those have `key` method to get the group of the given item,
+ * of which adjacent items with a different group are padded.
+ * @private
+ */
+const ItemGroupings = {
+    "kind": {
+        "key": item => {
+            if (SPREAD_ITEMS.has(item.type)) {
+                return "spread"
+            }
+            if (item.method || item.kind === "get" || item.kind === "set"
+                || item.type === "TSMethodSignature") {
+                return "method"
+            }
+            if (item.shorthand) {
+                return "shorthand"
+            }
+            return "property"
+        }
+    },
+    "multiline": {"key": item => isMultilineNode(item)},
+    "prefix": {
+        "key": item => {
+            const name = getKeyName(item)
+            if (name === null) {
+                return null
+            }
+            // Keys without a separator, like `name` and `version`, share a group
+            return KEY_PREFIX.exec(name)?.[0] ?? ""
+        }
+    }
+}
+
+/**
+ * Create the options schema of a rule that uses a newline reporter.
+ * @param {...string} minKeys - The option names for the minimum list size.
+ * @returns {import('json-schema').JSONSchema4[]} The schema of the rule.
+ */
+export const createNewLineReporterSchema = (...minKeys) => [
+    {"enum": LIST_MODES},
+    {
+        "additionalProperties": false,
+        "properties": {
+            "belowMin": {"enum": ["any", "always", "never"]},
+            "between": {"enum": ["any", ...LIST_MODES]},
+            "comments": {
+                "enum": ["attach-to-next", "attach-to-prev", "ignore"]
+            },
+            "edges": {"enum": ["any", ...LIST_MODES]},
+            "exact": {"minimum": 1, "type": "integer"},
+            "groupBy": {
+                "anyOf": [
+                    {"enum": Object.keys(ItemGroupings)},
+                    {
+                        "items": {"enum": Object.keys(ItemGroupings)},
+                        "minItems": 1,
+                        "type": "array",
+                        "uniqueItems": true
+                    }
+                ]
+            },
+            "max": {"minimum": 1, "type": "integer"},
+            "minLines": {"minimum": 0, "type": "integer"},
+            "overrides": {
+                "items": {
+                    "additionalProperties": false,
+                    "properties": {
+                        "between": {"enum": ["any", ...LIST_MODES]},
+                        "context": {
+                            "anyOf": [
+                                {"enum": Object.keys(ListContexts)},
+                                {
+                                    "items": {
+                                        "enum": Object.keys(ListContexts)
+                                    },
+                                    "minItems": 1,
+                                    "type": "array",
+                                    "uniqueItems": true
+                                }
+                            ]
+                        },
+                        "edges": {"enum": ["any", ...LIST_MODES]},
+                        "maxDepth": {"minimum": 0, "type": "integer"},
+                        "minDepth": {"minimum": 0, "type": "integer"},
+                        "mode": {"enum": ["any", ...LIST_MODES]}
+                    },
+                    "type": "object"
+                },
+                "type": "array"
+            },
+            ...Object.fromEntries(minKeys.map(
+                minKey => [minKey, {"minimum": 0, "type": "integer"}]))
+        },
+        "type": "object"
+    }
+]
+
+/**
+ * Create a newline reporter for lists of items, such as objects or arrays.
+ * Object-like TypeScript nodes, such as interfaces and enums, are supported.
+ * The edges are only checked if the list is wrapped in brackets or parens.
+ * @param {(keyof typeof ListNodes)[]} expressionNames - The node types.
  * @param {import('eslint').Rule.RuleContext} context
  * @returns {import('eslint').Rule.RuleListener}
  */
-export const createNewLineReporter = (expressionName, context) => {
+export const createNewLineReporter = (expressionNames, context) => {
     const config = context.options[0] || "never"
-    const {sourceCode} = context
+    const options = context.options[1] || {}
+    const {
+        belowMin = "any",
+        between = config,
+        comments = "ignore",
+        edges = config,
+        exact,
+        groupBy = "prefix",
+        max,
+        minLines = 0,
+        overrides = []
+    } = options
+    const groupings = [groupBy].flat()
+    const sourceCode = getTokenStore(context.sourceCode)
+    /** @type {WeakMap<import('estree').Node, string[]>} */
+    const rootContexts = new WeakMap()
     /**
-     * Check for padding between two tokens and report/fix if incorrect.
+     * Gets the names of the contexts the root literal of a list is used in.
+     * The contexts are stored per root, as the nested lists share them.
+     * @param {import('estree').Node} node - The list node.
+     * @returns {string[]} The names of the matching contexts.
+     */
+    const getContexts = node => {
+        const {parent, root} = getRootLiteral(sourceCode, node)
+        if (!rootContexts.has(root)) {
+            rootContexts.set(root, Object.keys(ListContexts)
+                .filter(name => ListContexts[name].test(root, parent)))
+        }
+        return rootContexts.get(root) ?? []
+    }
+    /**
+     * Checks whether an entry of the overrides option applies to a list.
+     * The depth is the number of lists of the same rule it's nested in.
+     * @param {import('estree').Node} node - The list node.
+     * @param {{context?: string|string[], maxDepth?: number,
+     *   minDepth?: number}} override - The override entry.
+     * @returns {boolean} `true` if the override applies to the list.
+     */
+    const matchesOverride = (node, override) => {
+        const depth = sourceCode.getAncestors(node).filter(
+            ancestor => expressionNames.some(
+                name => name === ancestor.type)).length
+        if (depth < (override.minDepth ?? 0)
+            || depth > (override.maxDepth ?? Infinity)) {
+            return false
+        }
+        if (override.context === undefined) {
+            return true
+        }
+        const contexts = getContexts(node)
+        return [override.context].flat().some(
+            name => contexts.includes(name))
+    }
+    /**
+     * Gets the modes of a list, of which the last matching override wins.
+     * @param {import('estree').Node} node - The list node.
+     * @returns {{between: string, edges: string, override: number}} The modes
+     * of the list and the index of the override that set them last.
+     */
+    const getModes = node => overrides.reduce((modes, override, index) => {
+        if (!matchesOverride(node, override)) {
+            return modes
+        }
+        return {
+            "between": override.between ?? override.mode ?? modes.between,
+            "edges": override.edges ?? override.mode ?? modes.edges,
+            "override": index
+        }
+    }, {between, edges, "override": -1})
+    /**
+     * Adds the position inside the object to the message id.
+     * @param {string} messageId - The message id for gaps between props.
+     * @param {"normal"|"first"|"last"} position - The position inside the object.
+     * @returns {string} The message id for the given position.
+     */
+    const getPositionMessageId = (messageId, position) => {
+        if (position === "first") {
+            return `${messageId}Start`
+        }
+        if (position === "last") {
+            return `${messageId}End`
+        }
+        return messageId
+    }
+    /**
+     * Report and fix the padding between two tokens.
      * @param {import('eslint').AST.Token} token1 - The first token.
      * @param {import('eslint').AST.Token} token2 - The second token.
      * @param {import('eslint').AST.Token} node - The node that's being checked.
-     * @param {"normal"|"first"} position - The position inside the object.
+     * @param {"normal"|"first"|"last"} position - The position inside the object.
+     * @param {boolean} isPadded - Whether the tokens are currently padded.
+     * @param {Record<string, string>} data - The data of the report.
      */
-    const reportTwoTokens = (token1, token2, node, position = "normal") => {
-        const isPadded = isPaddingBetweenTokens(
-            sourceCode, token1, token2)
+    const reportTwoTokens = (
+        token1, token2, node, position, isPadded, data) => {
         let messageId = "always"
         if (isPadded) {
             messageId = "never"
         }
-        if (config === "always" && !isPadded
-            || config === "never" && isPadded) {
-            context.report({
-                "fix": fixer => {
-                    const tokenAfterLastToken = sourceCode
-                        .getTokenAfter(token1)
-                    let tokenToLineBreakAfter = token1
-                    if (tokenAfterLastToken?.value === ",") {
-                        tokenToLineBreakAfter = tokenAfterLastToken
-                    }
-                    if (isPadded) {
-                        if (position === "normal") {
-                            return fixer.replaceTextRange([token1.range[1],
-                                token2.range[0]], ",\n")
-                        }
-                        if (position === "first") {
-                            return fixer.replaceTextRange([token1.range[1],
-                                token2.range[0]], "\n")
-                        }
+        const paddingLines = getPaddingLineSequencesBetweenTokens(
+            sourceCode, token1, token2)
+        context.report({
+            data,
+            "fix": fixer => {
+                if (isPadded) {
+                    if (paddingLines.length >= 2) {
+                        return null
                     }
-                    return fixer.insertTextAfter(
-                        tokenToLineBreakAfter, "\n")
-                },
-                messageId,
-                node
-            })
-        }
+                    return fixPaddingLineCount(
+                        fixer, sourceCode, paddingLines[0], 0)
+                }
+                let tokenToLineBreakAfter = getLastTokenOnLine(
+                    sourceCode, token1, token2)
+                if (comments !== "ignore") {
+                    [tokenToLineBreakAfter] = getCommentPaddingPairs(
+                        sourceCode, token1, token2, comments).padded
+                }
+                return insertPaddingLines(fixer, sourceCode,
+                    tokenToLineBreakAfter, sourceCode.getTokenAfter(
+                        tokenToLineBreakAfter, {"includeComments": true}),
+                    exact ?? 1)
+            },
+            "messageId": getPositionMessageId(messageId, position),
+            node,
+            "suggest": suggestPaddingLineCount(sourceCode, paddingLines, 0)
+        })
     }
     /**
-     * Handles the lines between object expresions.
-     * @param {import('estree').Expression} expression
+     * Report and fix the number of blank lines between two padded tokens.
+     * Only a single padding line sequence is fixed, as with statements.
+     * @param {import('eslint').AST.Token} token1 - The first token.
+     * @param {import('eslint').AST.Token} token2 - The second token.
+     * @param {import('eslint').AST.Token} node - The node that's being checked.
+     * @param {"normal"|"first"|"last"} position - The position inside the object.
+     * @param {Record<string, string>} data - The data of the report.
+     */
+    const reportBlankLineCount = (token1, token2, node, position, data) => {
+        const paddingLines = getPaddingLineSequencesBetweenTokens(
+            sourceCode, token1, token2)
+        context.report({
+            data,
+            "fix": fixer => {
+                if (paddingLines.length >= 2) {
+                    return null
+                }
+                return fixPaddingLineCount(
+                    fixer, sourceCode, paddingLines[0], exact ?? max)
+            },
+            "messageId": getPositionMessageId("count", position),
+            node,
+            "suggest": suggestPaddingLineCount(
+                sourceCode, paddingLines, exact ?? max ?? 1)
+        })
+    }
+    /**
+     * Handles the lines between the items of a list.
+     * @param {import('estree').Node} expression
      */
     const expressionChecker = expression => {
+        const {items, minKey} = ListNodes[expression.type]
+        /** @type {import('estree').Node[]} */
+        const props = items(expression).filter(Boolean)
+        let modes = getModes(expression)
+        const lineCount = expression.loc.end.line
+            - expression.loc.start.line + 1
+        if (props.length < (options[minKey] ?? 0) || lineCount < minLines) {
+            modes = {"between": belowMin, "edges": belowMin, "override": -1}
+        }
         /**
-         * @type {(
-         *   import('estree').SpreadElement
-         *   |import('estree').Expression
-         *   |import('estree').Property
-         *   |null
-         * )[]}
+         * @type {{
+         *   first: import('eslint').AST.Token,
+         *   neighbours: import('estree').Node[],
+         *   next: string,
+         *   node: import('estree').Node,
+         *   position: "normal"|"first"|"last",
+         *   prev: string,
+         *   second: import('eslint').AST.Token
+         * }[]}
          */
-        let props = []
-        if ("elements" in expression) {
-            props = expression.elements
-        }
-        if ("properties" in expression) {
-            props = expression.properties
-        }
+        const gaps = []
+        const itemTokens = props.map(
+            prop => getItemTokens(sourceCode, expression, prop))
+        const listFirst = sourceCode.getFirstToken(expression)
+        const listLast = sourceCode.getLastToken(expression)
         try {
-            const curFirst = sourceCode.getFirstToken(props[0])
+            const [curFirst] = itemTokens[0]
             const beforeFirst = sourceCode.getTokenBefore(curFirst)
-            reportTwoTokens(beforeFirst, curFirst, props[0], "first")
+            if (OPENING_TOKENS.has(beforeFirst.value)
+                && beforeFirst.range[0] >= listFirst.range[0]) {
+                gaps.push({
+                    "first": beforeFirst,
+                    "neighbours": [props[0]],
+                    "next": props[0].type,
+                    "node": props[0],
+                    "position": "first",
+                    "prev": beforeFirst.value,
+                    "second": curFirst
+                })
+            }
         } catch {
             // No lines before
         }
         for (let i = 0; i < props.length - 1; i++) {
-            const curLast = sourceCode.getLastToken(props[i])
-            const nextFirst = sourceCode.getFirstToken(props[i + 1])
-            reportTwoTokens(curLast, nextFirst, props[i + 1])
+            gaps.push({
+                "first": itemTokens[i][1],
+                "neighbours": [props[i], props[i + 1]],
+                "next": props[i + 1].type,
+                "node": props[i + 1],
+                "position": "normal",
+                "prev": props[i].type,
+                "second": itemTokens[i + 1][0]
+            })
         }
         try {
-            const curLast = sourceCode.getLastToken(props.at(-1))
-            const afterLast = sourceCode.getTokenAfter(curLast)
-            reportTwoTokens(curLast, afterLast, props.at(-1))
+            const [, curLast] = itemTokens.at(-1)
+            let afterLast = sourceCode.getTokenAfter(curLast)
+            if (afterLast?.value === ",") {
+                afterLast = sourceCode.getTokenAfter(afterLast)
+            }
+            if (CLOSING_TOKENS.has(afterLast.value)
+                && afterLast.range[1] <= listLast.range[1]) {
+                gaps.push({
+                    "first": curLast,
+                    "neighbours": [props.at(-1)],
+                    "next": afterLast.value,
+                    "node": props.at(-1),
+                    "position": "last",
+                    "prev": props.at(-1).type,
+                    "second": afterLast
+                })
+            }
         } catch {
             // No lines before
         }
+        /** @type {{between: boolean|null, edges: boolean|null}} */
+        const consistentPadding = {"between": null, "edges": null}
+        for (const gap of gaps) {
+            /** @type {"between"|"edges"} */
+            let group = "edges"
+            if (gap.position === "normal") {
+                group = "between"
+            }
+            const mode = modes[group]
+            if (mode === "any"
+                || hasTextBetweenTokens(sourceCode, gap.first, gap.second)) {
+                continue
+            }
+            const blankLines = countPaddingLinesBetweenTokens(
+                sourceCode, gap.first, gap.second)
+            const isPadded = blankLines > 0
+            let expectPadding = mode === "always"
+            if (mode === "multiline") {
+                expectPadding = gap.neighbours.some(isMultilineNode)
+            }
+            if (mode === "group") {
+                // Only the boundaries between two groups are padded
+                expectPadding = gap.position === "normal" && groupings.some(
+                    name => ItemGroupings[name].key(gap.neighbours[0])
+                        !== ItemGroupings[name].key(gap.neighbours[1]))
+            }
+            if (mode === "consistent") {
+                // Edges and gaps between only differ if configured separately
+                let consistentGroup = group
+                if (modes.edges === modes.between) {
+                    consistentGroup = "edges"
+                }
+                consistentPadding[consistentGroup] ??= isPadded
+                expectPadding = consistentPadding[consistentGroup]
+            }
+            let expected = "0"
+            if (expectPadding) {
+                expected = describeBlankLineLimits({exact, max})
+            }
+            const data = {
+                "actual": String(blankLines),
+                expected,
+                mode,
+                "next": gap.next,
+                "override": String(modes.override),
+                "prev": gap.prev
+            }
+            if (isPadded !== expectPadding) {
+                reportTwoTokens(gap.first, gap.second,
+                    gap.node, gap.position, isPadded, data)
+                continue
+            }
+            if (isPadded && reportMisplacedPadding(context,
+                getCommentPaddingPairs(
+                    sourceCode, gap.first, gap.second, comments),
+                gap.node, {comments, exact}, data)) {
+                continue
+            }
+            if (isPadded && !isWithinBlankLineLimits(blankLines, {exact, max})) {
+                reportBlankLineCount(
+                    gap.first, gap.second, gap.node, gap.position, data)
+            }
+        }
     }
-    return {[expressionName]: expressionChecker}
+    return Object.fromEntries(expressionNames.map(
+        expressionName => [expressionName, expressionChecker]))
 }
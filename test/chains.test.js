@@ -0,0 +1,128 @@
+import {describe, it} from "node:test"
+import {RuleTester} from "eslint"
+import rule from "../app/rules/chains.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester()
+
+ruleTester.run("chains", rule, {
+    "invalid": [
+        {
+            "code": "query\n\n    .select()\n    .where()",
+            "errors": [{"line": 3, "messageId": "unexpectedMember"}],
+            "output": "query\n    .select()\n    .where()"
+        },
+        {
+            "code": "query.\n\n    select()",
+            "errors": [{"line": 3, "messageId": "unexpectedMember"}],
+            "output": "query.\n    select()"
+        },
+        {
+            "code": "query\n    .select()\n\n    .where()\n\n    .limit()",
+            "errors": [{"line": 6, "messageId": "unexpectedMember"}],
+            "options": [{"allowBefore": ["where"]}],
+            "output": "query\n    .select()\n\n    .where()\n    .limit()"
+        },
+        {
+            "code": "a\n\n    ?.b\n\n    ?.()\n    ?.c",
+            "errors": [{"line": 3, "messageId": "unexpectedMember"}],
+            "output": "a\n    ?.b\n\n    ?.()\n    ?.c"
+        },
+        {
+            "code": "a\n\n    ?.b",
+            "errors": [{"line": 3, "messageId": "unexpectedMember"}],
+            "options": [{"allowBefore": ["c"]}],
+            "output": "a\n    ?.b"
+        },
+        {
+            "code": "a\n\n    && b\n\n    || c",
+            "errors": [{"line": 3, "messageId": "unexpectedOperand"}],
+            "options": [{"allowOperators": ["||"]}],
+            "output": "a\n    && b\n\n    || c"
+        },
+        {
+            "code": "a\n\n    ?? b",
+            "errors": [{"line": 3, "messageId": "unexpectedOperand"}],
+            "options": [{"allowOperators": ["&&", "||"]}],
+            "output": "a\n    ?? b"
+        },
+        {
+            "code": "a &&\n\n    b",
+            "errors": [{"line": 3, "messageId": "unexpectedOperand"}],
+            "output": "a &&\n    b"
+        },
+        {
+            "code": "a\n\n    ? b\n\n    : c",
+            "errors": [
+                {"line": 3, "messageId": "unexpectedOperand"},
+                {"line": 5, "messageId": "unexpectedOperand"}
+            ],
+            "output": "a\n    ? b\n    : c"
+        },
+        {
+            "code": "a\n\n    ? b\n\n    : c",
+            "errors": [{"line": 5, "messageId": "unexpectedOperand"}],
+            "options": [{"allowOperators": ["?"]}],
+            "output": "a\n\n    ? b\n    : c"
+        },
+        {
+            "code": "a\n    ? (b ? c : d)\n\n    : e",
+            "errors": [{"line": 4, "messageId": "unexpectedOperand"}],
+            "output": "a\n    ? (b ? c : d)\n    : e"
+        },
+        {
+            "code": "(a\n    || b)\n\n    && c",
+            "errors": [{"line": 4, "messageId": "unexpectedOperand"}],
+            "output": "(a\n    || b)\n    && c"
+        },
+        {
+            "code": "(a)\n\n    .b",
+            "errors": [{"line": 3, "messageId": "unexpectedMember"}],
+            "output": "(a)\n    .b"
+        },
+        {
+            "code": "a\n\n    // c\n\n    .b",
+            "errors": [{
+                "line": 5,
+                "messageId": "unexpectedMember",
+                "suggestions": [{
+                    "messageId": "removeAllBlankLines",
+                    "output": "a\n    // c\n    .b"
+                }]
+            }],
+            "output": null
+        },
+        {
+            "code": "a\n    // c\n\n    || b",
+            "errors": [{"line": 4, "messageId": "unexpectedOperand"}],
+            "output": "a\n    // c\n    || b"
+        }
+    ],
+    "valid": [
+        "query\n    .select()\n    .where()",
+        "list\n\n    [0]",
+        "a\n\n    ?.[0]",
+        "(\n\n    a\n\n) && b",
+        "a && (\n\n    b\n\n)",
+        "a?.b\n    ? c\n    : d",
+        {
+            "code": "query\n    .select()\n\n    .where()",
+            "options": [{"allowBefore": ["where"]}]
+        },
+        {
+            "code": "query\n\n    .select()\n\n    .where()",
+            "options": [{"members": "any"}]
+        },
+        {
+            "code": "a\n\n    && b\n\n    ? c\n\n    : d",
+            "options": [{"operands": "any"}]
+        },
+        {
+            "code": "a\n\n    ? b\n\n    : c",
+            "options": [{"allowOperators": ["?", ":"]}]
+        }
+    ]
+})
@@ -0,0 +1,202 @@
+import {describe, it} from "node:test"
+import {RuleTester} from "eslint"
+import rule from "../app/rules/class-members.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester()
+const multilineMethod = "a() {\n        foo()\n    }"
+
+/**
+ * Members that each member type should match, and similar members
+ * that it should not match, as the previous member of a padded pair.
+ * @type {Record<string, {matching: string[], other: string[]}>}
+ */
+const memberTypes = {
+    "accessor": {
+        "matching": ["get a() {}", "set a(v) {}"],
+        "other": ["a() {}", "a = 1"]
+    },
+    "constructor": {
+        "matching": ["constructor() {}"],
+        "other": ["a() {}", "static a() {}"]
+    },
+    "field": {
+        "matching": ["a = 1", "#a", "static a = 1"],
+        "other": ["a() {}", "get a() {}"]
+    },
+    "getter": {
+        "matching": ["get a() {}", "static get #a() {}"],
+        "other": ["set a(v) {}", "a() {}"]
+    },
+    "method": {
+        "matching": ["a() {}", "async *#a() {}"],
+        "other": ["get a() {}", "constructor() {}", "a = () => 1"]
+    },
+    "multiline": {
+        "matching": [multilineMethod, "a = [\n        1\n    ]"],
+        "other": ["a() {}", "a = [1]"]
+    },
+    "private": {
+        "matching": ["#a = 1", "#a() {}", "get #a() {}"],
+        "other": ["a = 1", "static a() {}", "static {}"]
+    },
+    "setter": {
+        "matching": ["set a(v) {}"],
+        "other": ["get a() {}", "a(v) {}"]
+    },
+    "singleline": {
+        "matching": ["a() {}", "a = 1"],
+        "other": [multilineMethod]
+    },
+    "static": {
+        "matching": ["static a = 1", "static a() {}", "static #a"],
+        "other": ["a = 1", "static {}"]
+    },
+    "static-block": {
+        "matching": ["static {}", "static {\n        foo()\n    }"],
+        "other": ["static a = 1", "static() {}"]
+    }
+}
+
+for (const [type, {matching, other}] of Object.entries(memberTypes)) {
+    const options = [{"blankLine": "always", "next": "*", "prev": type}]
+    ruleTester.run(`class-members: ${type}`, rule, {
+        "invalid": matching.map(member => ({
+            "code": `class A {\n    ${member}\n    b() {}\n}`,
+            "errors": [{"messageId": "expectedBlankLine"}],
+            options,
+            "output": `class A {\n    ${member}\n\n    b() {}\n}`
+        })),
+        "valid": other.map(member => ({
+            "code": `class A {\n    ${member}\n    b() {}\n}`, options
+        }))
+    })
+}
+
+ruleTester.run("class-members", rule, {
+    "invalid": [
+        {
+            "code": "class A {\n    a = 1\n    b = 2\n    c() {}\n}",
+            "errors": [{"line": 4, "messageId": "expectedBlankLine"}],
+            "options": [
+                {"blankLine": "always", "next": "*", "prev": "*"},
+                {"blankLine": "never", "next": "field", "prev": "field"}
+            ],
+            "output": "class A {\n    a = 1\n    b = 2\n\n    c() {}\n}"
+        },
+        {
+            "code": "class A {\n    a = 1\n\n    b = 2\n}",
+            "errors": [{"line": 4, "messageId": "unexpectedBlankLine"}],
+            "options": [
+                {"blankLine": "always", "next": "*", "prev": "*"},
+                {"blankLine": "never", "next": "field", "prev": "field"}
+            ],
+            "output": "class A {\n    a = 1\n    b = 2\n}"
+        },
+        {
+            "code": "class A {\n    a = 1\n    b() {}\n}",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "options": [
+                {"blankLine": "never", "next": "*", "prev": "*"},
+                {
+                    "blankLine": "always",
+                    "next": ["method", "accessor"],
+                    "prev": "*"
+                }
+            ],
+            "output": "class A {\n    a = 1\n\n    b() {}\n}"
+        },
+        {
+            "code": "class A {\n    a() {}\n\n\n\n    b() {}\n}",
+            "errors": [{
+                "data": {
+                    "actual": "3",
+                    "config": "0",
+                    "expected": "at most 2",
+                    "next": "MethodDefinition",
+                    "prev": "MethodDefinition"
+                },
+                "line": 6,
+                "messageId": "blankLineCount"
+            }],
+            "options": [
+                {"blankLine": "always", "max": 2, "next": "*", "prev": "*"}
+            ],
+            "output": "class A {\n    a() {}\n\n\n    b() {}\n}"
+        },
+        {
+            "code": "class A {\n    a() {}\n\n    b() {}\n}",
+            "errors": [{
+                "data": {
+                    "actual": "1",
+                    "config": "0",
+                    "expected": "2",
+                    "next": "MethodDefinition",
+                    "prev": "MethodDefinition"
+                },
+                "line": 4,
+                "messageId": "blankLineCount"
+            }],
+            "options": [
+                {"blankLine": "always", "exact": 2, "next": "*", "prev": "*"}
+            ],
+            "output": "class A {\n    a() {}\n\n\n    b() {}\n}"
+        },
+        {
+            "code": "class A {\n    a() {}\n    b() {}\n}",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "options": [
+                {"blankLine": "always", "exact": 2, "next": "*", "prev": "*"}
+            ],
+            "output": "class A {\n    a() {}\n\n\n    b() {}\n}"
+        },
+        {
+            "code": "class A {\n    a = 1;\n    ;\n    b = 2\n}",
+            "errors": [{"line": 4, "messageId": "expectedBlankLine"}],
+            "options": [{"blankLine": "always", "next": "*", "prev": "*"}],
+            "output": "class A {\n    a = 1;\n    ;\n\n    b = 2\n}"
+        },
+        {
+            "code": "class A {\n    a = 1\n    ;b = 2\n}",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "options": [{"blankLine": "always", "next": "*", "prev": "*"}],
+            "output": "class A {\n    a = 1\n\n    ;b = 2\n}"
+        },
+        {
+            "code": "class A {\n    a = 1;\n\n    ;\n    b = 2\n}",
+            "errors": [{"line": 5, "messageId": "unexpectedBlankLine"}],
+            "options": [{"blankLine": "never", "next": "*", "prev": "*"}],
+            "output": "class A {\n    a = 1;\n    ;\n    b = 2\n}"
+        }
+    ],
+    "valid": [
+        "class A {\n    a = 1\n\n\n    b() {}\n    c\n}",
+        {
+            "code": "class A {\n    a() {}\n\n\n    b() {}\n}",
+            "options": [
+                {"blankLine": "always", "max": 2, "next": "*", "prev": "*"}
+            ]
+        },
+        {
+            "code": "class A {\n    a = 1\n    b = 2\n\n    c() {}\n}",
+            "options": [
+                {"blankLine": "always", "next": "*", "prev": "*"},
+                {"blankLine": "never", "next": "field", "prev": "field"}
+            ]
+        },
+        {
+            "code": "class A {\n    a = 1\n\n    b = 2\n}",
+            "options": [
+                {"blankLine": "never", "next": "*", "prev": "*"},
+                {"blankLine": "any", "next": "field", "prev": "field"}
+            ]
+        },
+        {
+            "code": "class A { a = 1; b = 2 }",
+            "options": [{"blankLine": "never", "next": "*", "prev": "*"}]
+        }
+    ]
+})
@@ -0,0 +1,194 @@
+import assert from "node:assert/strict"
+import {describe, it} from "node:test"
+import {Linter, RuleTester} from "eslint"
+import arraysRule from "../app/rules/arrays.js"
+import markdown from "@eslint/markdown"
+import objectsRule from "../app/rules/objects.js"
+import plugin from "../app/index.js"
+import statementsRule from "../app/rules/statements.js"
+import svelteParser from "svelte-eslint-parser"
+import vueParser from "vue-eslint-parser"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const paddedStatements = [{"blankLine": "always", "next": "*", "prev": "*"}]
+
+const vueTester = new RuleTester({"languageOptions": {"parser": vueParser}})
+
+vueTester.run("statements: vue", statementsRule, {
+    "invalid": [
+        {
+            "code": "<script setup>\nconst a = 1\nfoo()\n</script>\n",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "filename": "test.vue",
+            "options": paddedStatements,
+            "output": "<script setup>\nconst a = 1\n\nfoo()\n</script>\n"
+        },
+        {
+            "code": "<script setup>\r\nconst a = 1\r\nfoo()\r\n</script>\r\n",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "filename": "test.vue",
+            "options": paddedStatements,
+            "output": "<script setup>\r\nconst a = 1\r\n\r\nfoo()\r\n</script>\r\n"
+        }
+    ],
+    "valid": [
+        {
+            "code": "<script>\nexport const a = 1\n</script>\n<script setup>\nconst b = 2\n</script>\n",
+            "filename": "test.vue",
+            "options": paddedStatements
+        },
+        {
+            "code": "<script>\nexport const a = 1\n</script>\n\n<script setup>\nconst b = 2\n</script>\n",
+            "filename": "test.vue",
+            "options": [{"blankLine": "never", "next": "*", "prev": "*"}]
+        }
+    ]
+})
+
+vueTester.run("arrays: vue", arraysRule, {
+    "invalid": [
+        {
+            "code": "<template><div/></template>\n<script setup>\nconst a = [\n    1,\n\n    2\n]\n</script>\n",
+            "errors": [{"line": 6, "messageId": "never"}],
+            "filename": "test.vue",
+            "options": ["never"],
+            "output": "<template><div/></template>\n<script setup>\nconst a = [\n    1,\n    2\n]\n</script>\n"
+        }
+    ],
+    "valid": []
+})
+
+vueTester.run("objects: vue", objectsRule, {
+    "invalid": [
+        {
+            "code": "<script setup>\r\nconst o = {\r\n    a: 1,\r\n    b: 2\r\n}\r\n</script>\r\n",
+            "errors": [{"line": 4, "messageId": "always"}],
+            "filename": "test.vue",
+            "options": ["always", {"edges": "never"}],
+            "output": "<script setup>\r\nconst o = {\r\n    a: 1,\r\n\r\n    b: 2\r\n}\r\n</script>\r\n"
+        }
+    ],
+    "valid": []
+})
+
+const svelteTester = new RuleTester(
+    {"languageOptions": {"parser": svelteParser}})
+
+svelteTester.run("statements: svelte", statementsRule, {
+    "invalid": [
+        {
+            "code": "<script>\n    const a = 1\n    foo()\n</script>\n\n<div>{a}</div>\n",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "filename": "test.svelte",
+            "options": paddedStatements,
+            "output": "<script>\n    const a = 1\n\n    foo()\n</script>\n\n<div>{a}</div>\n"
+        }
+    ],
+    "valid": [
+        {
+            "code": "<script module>\n    export const a = 1\n</script>\n<script>\n    const b = 2\n</script>\n",
+            "filename": "test.svelte",
+            "options": paddedStatements
+        }
+    ]
+})
+
+/** @type {import('eslint').Linter.Config[]} */
+const markdownConfig = [
+    {
+        "files": ["**/*.md"],
+        "plugins": {markdown},
+        "processor": "markdown/markdown"
+    },
+    {
+        "files": ["**/*.md/*.js"],
+        "plugins": {"padding-lines": plugin},
+        "rules": {
+            "padding-lines/arrays": ["error", "never"],
+            "padding-lines/statements": ["error", ...paddedStatements]
+        }
+    }
+]
+
+/**
+ * Creates a Markdown file with a list item that contains a code block.
+ * The lines that are `null` are blank lines that a fix added to the block,
+ * which the processor gives the indentation of the block.
+ * @param {string} lineBreak - The line break to use for all lines.
+ * @param {string} indent - The indentation of the code block.
+ * @param {(string|null)[]} code - The lines of code in the code block.
+ * @returns {string} The Markdown text.
+ */
+const createMarkdown = (lineBreak, indent, code) => [
+    "# Example", "", "- Item", "", `${indent}\`\`\`js`,
+    ...code.map(line => {
+        if (line === null) {
+            return indent
+        }
+        return line && `${indent}${line}`
+    }), `${indent}\`\`\``, ""
+].join(lineBreak)
+
+const markdownCode = [
+    "foo()", "const a = [", "    1,", "", "    2", "]", "bar()"
+]
+
+describe("markdown code blocks", () => {
+    const cases = [
+        {
+            "indent": "",
+            "lineBreak": "\n",
+            "name": "fenced block",
+            "output": [
+                "foo()", null, "const a = [", "    1,", "    2", "]", null, "bar()"
+            ]
+        },
+        {
+            "indent": "   ",
+            "lineBreak": "\n",
+            "name": "indented fenced block",
+            "output": [
+                "foo()", null, "const a = [", "    1,", "    2", "]", null, "bar()"
+            ]
+        },
+        // Fixes after an empty line are left out, the processor moves them
+        {
+            "indent": "",
+            "lineBreak": "\r\n",
+            "name": "fenced block with CRLF",
+            "output": [
+                "foo()", null, "const a = [", "    1,", "", "    2", "]", "bar()"
+            ]
+        },
+        {
+            "indent": "   ",
+            "lineBreak": "\r\n",
+            "name": "indented fenced block with CRLF",
+            "output": [
+                "foo()", null, "const a = [", "    1,", "", "    2", "]", "bar()"
+            ]
+        }
+    ]
+    for (const {indent, lineBreak, name, output} of cases) {
+        it(name, () => {
+            const linter = new Linter()
+            const code = createMarkdown(lineBreak, indent, markdownCode)
+            const messages = linter.verify(
+                code, markdownConfig, {"filename": "test.md"})
+            assert.deepEqual(messages.map(message => [
+                message.ruleId, message.line, message.column
+            ]), [
+                ["padding-lines/statements", 7, 1 + indent.length],
+                ["padding-lines/arrays", 10, 5 + indent.length],
+                ["padding-lines/statements", 12, 1 + indent.length]
+            ])
+            const result = linter.verifyAndFix(
+                code, markdownConfig, {"filename": "test.md"})
+            assert.equal(
+                result.output, createMarkdown(lineBreak, indent, output))
+        })
+    }
+})
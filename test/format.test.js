@@ -0,0 +1,105 @@
+import assert from "node:assert/strict"
+import {describe, it} from "node:test"
+import {formatPadding} from "../app/index.js"
+import tsParser from "@typescript-eslint/parser"
+
+const paddedStatements = [{"blankLine": "always", "next": "*", "prev": "*"}]
+
+/**
+ * The code to format with the options and the expected output and changes.
+ * @type {{
+ *   changes: [string, string, number][],
+ *   code: string,
+ *   name: string,
+ *   options?: Parameters<typeof formatPadding>[1],
+ *   output: string
+ * }[]}
+ */
+const cases = [
+    {
+        "changes": [
+            ["padding-lines/arrays", "never", 4],
+            ["padding-lines/objects", "neverStart", 9]
+        ],
+        "code": "const a = [\n    1,\n\n    2\n]\n\nconst o = {\n\n    b\n}\n",
+        "name": "default rules",
+        "output": "const a = [\n    1,\n    2\n]\n\nconst o = {\n    b\n}\n"
+    },
+    {
+        "changes": [
+            ["padding-lines/statements", "expectedBlankLine", 2],
+            ["padding-lines/statements", "expectedBlankLine", 3]
+        ],
+        "code": "﻿const a = 1\nfoo()\nbar()\n",
+        "name": "byte order mark",
+        "options": {"rules": {"statements": paddedStatements}},
+        "output": "﻿const a = 1\n\nfoo()\n\nbar()\n"
+    },
+    {
+        "changes": [
+            ["padding-lines/arrays", "alwaysStart", 1],
+            ["padding-lines/arrays", "always", 1],
+            ["padding-lines/arrays", "alwaysEnd", 1]
+        ],
+        "code": "const a = [1, 2]\n",
+        "name": "fixes next to each other",
+        "options": {"rules": {"arrays": ["always"]}},
+        "output": "const a = [\n\n1,\n\n2\n\n]\n"
+    },
+    {
+        "changes": [
+            ["padding-lines/objects", "never", 4],
+            ["padding-lines/statements", "expectedBlankLine", 6]
+        ],
+        "code": "interface A {\n    a: string\n\n    b: number\n}\nfoo()\n",
+        "name": "typescript",
+        "options": {
+            "filename": "file.ts",
+            "languageOptions": {"parser": tsParser},
+            "rules": {"objects": ["never"], "statements": paddedStatements}
+        },
+        "output": "interface A {\n    a: string\n    b: number\n}\n\nfoo()\n"
+    },
+    {
+        "changes": [],
+        "code": "foo()\n\n// one\n\nbar()\n",
+        "name": "no safe fix",
+        "options": {
+            "rules": {
+                "statements": [{"blankLine": "never", "next": "*", "prev": "*"}]
+            }
+        },
+        "output": "foo()\n\n// one\n\nbar()\n"
+    }
+]
+
+describe("formatPadding", () => {
+    for (const {changes, code, name, options, output} of cases) {
+        it(name, () => {
+            const result = formatPadding(code, options)
+            assert.equal(result.output, output)
+            assert.deepEqual(result.changes.map(change => [
+                change.ruleId, change.messageId, change.line
+            ]), changes)
+            const again = formatPadding(result.output, options)
+            assert.equal(again.output, result.output)
+            assert.deepEqual(again.changes, [])
+        })
+    }
+
+    it("throws on code that can't be parsed", () => {
+        assert.throws(() => formatPadding("const a = [\n", {
+            "filename": "broken.js"
+        }), {"message": /^Unable to parse broken\.js: /, "name": "SyntaxError"})
+    })
+
+    it("throws if the fixes of the rules conflict", () => {
+        assert.throws(() => formatPadding(
+            "switch (a) {\ncase 1:\n    foo()\ncase 2:\n    bar()\n}\n", {
+                "rules": {
+                    "statements": paddedStatements,
+                    "switch-cases": [{"between": "never"}]
+                }
+            }), {"message": /^Unable to format file\.js: /, "name": "Error"})
+    })
+})
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict"
+import {describe, it} from "node:test"
+import {Linter, RuleTester} from "eslint"
+import rule from "../app/rules/imports.js"
+import tsParser from "@typescript-eslint/parser"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester()
+
+ruleTester.run("imports", rule, {
+    "invalid": [
+        {
+            "code": "import fs from \"node:fs\"\nimport a from \"a\"\n"
+                + "import b from \"../b\"\nimport c from \"./c\"\n"
+                + "import d from \"./\"",
+            "errors": [
+                {"line": 2, "messageId": "expectedBlankLine"},
+                {"line": 3, "messageId": "expectedBlankLine"},
+                {"line": 4, "messageId": "expectedBlankLine"}
+            ],
+            "output": "import fs from \"node:fs\"\n\nimport a from \"a\"\n\n"
+                + "import b from \"../b\"\n\nimport c from \"./c\"\n"
+                + "import d from \"./\""
+        },
+        {
+            "code": "import path from \"path\"\n\nimport fs from \"node:fs\"",
+            "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+            "output": "import path from \"path\"\nimport fs from \"node:fs\""
+        },
+        {
+            "code": "import a from \"a\"\n\n\n\nimport b from \"./b\"",
+            "errors": [{
+                "data": {"actual": "3"}, "line": 5, "messageId": "blankLineCount"
+            }],
+            "output": "import a from \"a\"\n\nimport b from \"./b\""
+        },
+        {
+            "code": "import a from \"@app/a\"\nimport b from \"@app/b/c\"\n"
+                + "import c from \"c\"",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "options": [{"groups": ["@app/*", "external"]}],
+            "output": "import a from \"@app/a\"\n\nimport b from \"@app/b/c\"\n"
+                + "import c from \"c\""
+        },
+        {
+            "code": "import a from \"@app/a\"\nimport b from \"@app/b/c\"\n"
+                + "import c from \"c\"",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "options": [{"groups": ["@app/**", "external"]}],
+            "output": "import a from \"@app/a\"\nimport b from \"@app/b/c\"\n\n"
+                + "import c from \"c\""
+        },
+        {
+            "code": "import a from \"@App/a\"\nimport b from \"@lib/b\"\n"
+                + "import c from \"c\"",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "options": [{"groups": [String.raw`/^@(app|lib)\//iu`]}],
+            "output": "import a from \"@App/a\"\nimport b from \"@lib/b\"\n\n"
+                + "import c from \"c\""
+        },
+        {
+            "code": "import a from \"a\"\nimport b from \"b.js\"",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "options": [{"groups": ["/a/"]}],
+            "output": "import a from \"a\"\n\nimport b from \"b.js\""
+        },
+        {
+            "code": "import a from \"a\"\n\nimport b from \"./b\"",
+            "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+            "options": [{"groups": [["external", "sibling"]]}],
+            "output": "import a from \"a\"\nimport b from \"./b\""
+        },
+        {
+            "code": "import a from \"a\" // a\n// b\nimport b from \"./b\"",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "output": "import a from \"a\" // a\n\n// b\nimport b from \"./b\""
+        }
+    ],
+    "valid": [
+        "import fs from \"node:fs\"\nimport path from \"path\"\n\n"
+            + "import a from \"a\"\n\nimport b from \"../b\"\n\n"
+            + "import c from \"./c\"\nimport d from \"./index.js\"",
+        "import a from \"a\"\nconst b = 1\n\n\nimport c from \"./c\"",
+        {
+            "code": "import a from \"@app/a.js\"\nimport b from \"@app/b.js\"",
+            "options": [{"groups": ["@app/?.js"]}]
+        }
+    ]
+})
+
+new RuleTester({"languageOptions": {"parser": tsParser}}).run(
+    "imports: typescript", rule, {
+        "invalid": [
+            {
+                "code": "import type {A} from \"a\"\nimport b from \"b\"",
+                "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+                "options": [{"groups": ["type", "external"]}],
+                "output": "import type {A} from \"a\"\n\nimport b from \"b\""
+            },
+            {
+                "code": "import type {A} from \"./a\"\n\nimport type {B} from \"b\"",
+                "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+                "options": [{"groups": ["type"]}],
+                "output": "import type {A} from \"./a\"\nimport type {B} from \"b\""
+            }
+        ],
+        "valid": [
+            "import type {A} from \"a\"\nimport b from \"b\"",
+            {
+                "code": "import {type A} from \"a\"\nimport b from \"b\"",
+                "options": [{"groups": ["type", "external"]}]
+            }
+        ]
+    })
+
+describe("imports groups", () => {
+    it("throws on an invalid regex with the entry in the message", () => {
+        const linter = new Linter()
+        assert.throws(() => linter.verify("import a from \"a\"", {
+            "plugins": {"imports": {"rules": {rule}}},
+            "rules": {"imports/rule": ["error", {"groups": ["a", "/(/u"]}]}
+        }), {"message": /Invalid import group pattern "\/\(\/u": /u})
+    })
+})
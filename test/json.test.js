@@ -0,0 +1,158 @@
+import assert from "node:assert/strict"
+import {describe, it} from "node:test"
+import {Linter, RuleTester} from "eslint"
+import arraysRule from "../app/rules/arrays.js"
+import json from "@eslint/json"
+import * as jsoncParser from "jsonc-eslint-parser"
+import objectsRule from "../app/rules/objects.js"
+import plugin from "../app/index.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+/**
+ * The ways to lint JSON files, with the language of `@eslint/json`
+ * for each kind of JSON, or with the parser of `jsonc-eslint-parser`.
+ * @type {Record<string, import('eslint').Linter.Config>}
+ */
+const setups = {
+    "@eslint/json json": {"language": "json/json", "plugins": {json}},
+    "@eslint/json json5": {"language": "json/json5", "plugins": {json}},
+    "@eslint/json jsonc": {
+        "language": "json/jsonc",
+        "languageOptions": {"allowTrailingCommas": true},
+        "plugins": {json}
+    },
+    "jsonc-eslint-parser": {"languageOptions": {"parser": jsoncParser}}
+}
+
+const hasComments = new Set(
+    ["@eslint/json json5", "@eslint/json jsonc", "jsonc-eslint-parser"])
+
+for (const [name, config] of Object.entries(setups)) {
+    const ruleTester = new RuleTester(config)
+    /** @type {import('eslint').RuleTester.InvalidTestCase[]} */
+    const objectCases = [
+        {
+            "code": "{\n    \"a\": 1,\n\n    \"b\": [1, 2]\n}",
+            "errors": [{"messageId": "never"}],
+            "output": "{\n    \"a\": 1,\n    \"b\": [1, 2]\n}"
+        },
+        {
+            "code": "{\n    \"a\": 1,\n    \"b\": {\"c\": 2}\n}",
+            "errors": [
+                {"messageId": "alwaysStart"},
+                {"messageId": "always"},
+                {"messageId": "alwaysEnd"},
+                {"messageId": "alwaysStart"},
+                {"messageId": "alwaysEnd"}
+            ],
+            "options": ["always"],
+            "output": "{\n\n    \"a\": 1,\n\n    \"b\": {\n\n    \"c\": 2\n\n    }\n\n}"
+        },
+        {
+            "code": "{\n    \"a\": 1,\n    \"b\": 2\n}",
+            "errors": [{"messageId": "always"}],
+            "options": ["never", {
+                "overrides": [{"between": "always", "context": "json"}]
+            }],
+            "output": "{\n    \"a\": 1,\n\n    \"b\": 2\n}"
+        }
+    ]
+    /** @type {import('eslint').RuleTester.ValidTestCase[]} */
+    const objectValid = [
+        {
+            "code": "{\n    \"a\": 1,\n\n    \"b\": 2\n}",
+            "options": ["never", {
+                "overrides": [{"between": "any", "context": "json"}]
+            }]
+        },
+        {
+            "code": "{\n    \"a\": 1,\n    \"b\": 2\n}",
+            "options": ["never", {
+                "overrides": [{"between": "always", "context": "argument"}]
+            }]
+        }
+    ]
+    if (hasComments.has(name)) {
+        objectCases.push(
+            {
+                "code": "{\n    \"a\": 1, // a\n    // b\n    \"b\": 2,\n}",
+                "errors": [{"messageId": "always"}],
+                "options": ["always", {"edges": "never"}],
+                "output": "{\n    \"a\": 1, // a\n\n    // b\n    \"b\": 2,\n}"
+            },
+            {
+                "code": "{\n    \"a\": 1,\n\n    /* b */\n\n    \"b\": 2,\n\n}",
+                "errors": [
+                    {
+                        "messageId": "never",
+                        "suggestions": [{
+                            "messageId": "removeAllBlankLines",
+                            "output": "{\n    \"a\": 1,\n    /* b */\n"
+                                + "    \"b\": 2,\n\n}"
+                        }]
+                    },
+                    {"messageId": "neverEnd"}
+                ],
+                "output": "{\n    \"a\": 1,\n\n    /* b */\n\n    \"b\": 2,\n}"
+            },
+            {
+                "code": "{\n    \"a\": 1,\n    \"b\": 2,\n}",
+                "errors": [
+                    {"messageId": "alwaysStart"},
+                    {"messageId": "always"},
+                    {"messageId": "alwaysEnd"}
+                ],
+                "options": ["always"],
+                "output": "{\n\n    \"a\": 1,\n\n    \"b\": 2,\n\n}"
+            }
+        )
+    }
+    ruleTester.run(`objects: ${name}`, objectsRule, {
+        "invalid": objectCases,
+        "valid": objectValid
+    })
+    ruleTester.run(`arrays: ${name}`, arraysRule, {
+        "invalid": [
+            {
+                "code": "[\n    1,\n\n    [2, 3]\n]",
+                "errors": [{"messageId": "never"}],
+                "output": "[\n    1,\n    [2, 3]\n]"
+            },
+            {
+                "code": "[\n    1,\n    2\n]",
+                "errors": [{"messageId": "always"}],
+                "options": ["always", {"edges": "never"}],
+                "output": "[\n    1,\n\n    2\n]"
+            }
+        ],
+        "valid": [
+            {"code": "[1, 2]", "options": ["never"]},
+            {"code": "[\n\n    1\n\n]", "options": ["always"]}
+        ]
+    })
+}
+
+describe("json config", () => {
+    const files = {
+        "test.json": "{\n    \"a\": 1,\n\n    \"b\": [\n        1,\n\n        2\n    ]\n}\n",
+        "test.json5": "{\n    a: 1,\n\n    // b\n    b: [1, 2,],\n}\n",
+        "test.jsonc": "{\n    \"a\": 1,\n\n    // b\n    \"b\": 2,\n}\n"
+    }
+    const outputs = {
+        "test.json": "{\n    \"a\": 1,\n    \"b\": [\n        1,\n        2\n    ]\n}\n",
+        "test.json5": "{\n    a: 1,\n    // b\n    b: [1, 2,],\n}\n",
+        "test.jsonc": "{\n    \"a\": 1,\n    // b\n    \"b\": 2,\n}\n"
+    }
+    for (const [filename, code] of Object.entries(files)) {
+        it(`fixes ${filename} without any other config`, () => {
+            const linter = new Linter()
+            const result = linter.verifyAndFix(
+                code, plugin.configs.json, {filename})
+            assert.deepEqual(result.messages, [])
+            assert.equal(result.output, outputs[filename])
+        })
+    }
+})
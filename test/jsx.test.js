@@ -0,0 +1,140 @@
+import {describe, it} from "node:test"
+import {RuleTester} from "eslint"
+import rule from "../app/rules/jsx.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester({
+    "languageOptions": {"parserOptions": {"ecmaFeatures": {"jsx": true}}}
+})
+
+ruleTester.run("jsx", rule, {
+    "invalid": [
+        {
+            "code": "<div\n    a=\"1\"\n\n    b=\"2\"\n/>",
+            "errors": [{"line": 4, "messageId": "neverAttributes"}],
+            "output": "<div\n    a=\"1\"\n    b=\"2\"\n/>"
+        },
+        {
+            "code": "<div\n    a=\"1\"\n\n    {/* b */...b}\n/>",
+            "errors": [{"line": 4, "messageId": "neverAttributes"}],
+            "output": "<div\n    a=\"1\"\n    {/* b */...b}\n/>"
+        },
+        {
+            "code": "<div\n    a=\"1\"\n\n    /* b */\n\n    b=\"2\"\n/>",
+            "errors": [{
+                "line": 6,
+                "messageId": "neverAttributes",
+                "suggestions": [{
+                    "messageId": "removeAllBlankLines",
+                    "output": "<div\n    a=\"1\"\n    /* b */\n    b=\"2\"\n/>"
+                }]
+            }],
+            "output": null
+        },
+        {
+            "code": "<div\n    a=\"1\"\n    b=\"2\"\n/>",
+            "errors": [{"line": 3, "messageId": "alwaysAttributes"}],
+            "options": [{"attributes": "always"}],
+            "output": "<div\n    a=\"1\"\n\n    b=\"2\"\n/>"
+        },
+        {
+            "code": "<div>\n    <a />\n\n    <b />\n</div>",
+            "errors": [{"line": 4, "messageId": "neverChildren"}],
+            "output": "<div>\n    <a />\n    <b />\n</div>"
+        },
+        {
+            "code": "<div>\n\n    <a />\n\n</div>",
+            "errors": [
+                {"line": 3, "messageId": "neverEdges"},
+                {"line": 3, "messageId": "neverEdges"}
+            ],
+            "output": "<div>\n    <a />\n</div>"
+        },
+        {
+            "code": "<div>\n    <a />\n    <b />\n</div>",
+            "errors": [
+                {"line": 2, "messageId": "alwaysEdges"},
+                {"line": 3, "messageId": "alwaysChildren"},
+                {"line": 3, "messageId": "alwaysEdges"}
+            ],
+            "options": [{"children": "always", "edges": "always"}],
+            "output": "<div>\n\n    <a />\n\n    <b />\n\n</div>"
+        },
+        {
+            "code": "<div>\n    text\n    <a />\n    more text\n</div>",
+            "errors": [
+                {"line": 3, "messageId": "alwaysChildren"},
+                {"line": 3, "messageId": "alwaysChildren"}
+            ],
+            "options": [{"children": "always"}],
+            "output": "<div>\n    text\n\n    <a />\n\n    more text\n</div>"
+        },
+        {
+            "code": "<div>\n    text\n\n    <a />\n</div>",
+            "errors": [{"line": 4, "messageId": "neverChildren"}],
+            "output": "<div>\n    text\n    <a />\n</div>"
+        },
+        {
+            "code": "<div>\n    <a />\n    {/* comment */}\n    <b />\n</div>",
+            "errors": [
+                {"line": 3, "messageId": "alwaysChildren"},
+                {"line": 4, "messageId": "alwaysChildren"}
+            ],
+            "options": [{"children": "always"}],
+            "output": "<div>\n    <a />\n\n    {/* comment */}\n\n    <b />\n</div>"
+        },
+        {
+            "code": "<>\n\n    <a />\n\n    <b />\n</>",
+            "errors": [
+                {"line": 3, "messageId": "neverEdges"},
+                {"line": 5, "messageId": "neverChildren"}
+            ],
+            "output": "<>\n    <a />\n    <b />\n</>"
+        },
+        {
+            "code": "<>\n    <a />\n    <b />\n</>",
+            "errors": [{"line": 3, "messageId": "alwaysChildren"}],
+            "options": [{"children": "always"}],
+            "output": "<>\n    <a />\n\n    <b />\n</>"
+        },
+        {
+            "code": "<div>\r\n    <a />\r\n    text\r\n</div>",
+            "errors": [{"line": 2, "messageId": "alwaysChildren"}],
+            "options": [{"children": "always"}],
+            "output": "<div>\r\n    <a />\r\n\r\n    text\r\n</div>"
+        },
+        {
+            "code": "<div\r\n    a=\"1\"\r\n\r\n    b=\"2\"\r\n>\r\n\r\n    <a />\r\n</div>",
+            "errors": [
+                {"line": 4, "messageId": "neverAttributes"},
+                {"line": 7, "messageId": "neverEdges"}
+            ],
+            "output": "<div\r\n    a=\"1\"\r\n    b=\"2\"\r\n>\r\n    <a />\r\n</div>"
+        }
+    ],
+    "valid": [
+        "<div>\n    <a />\n    <b />\n</div>",
+        "<div>text <a /> more text</div>",
+        "<div><a /><b /></div>",
+        "<div>\n    \n</div>",
+        {
+            "code": "<div>text <a /> more <b /></div>",
+            "options": [{"children": "always", "edges": "always"}]
+        },
+        {
+            "code": "<div>\n    <a />\n\n    {/* comment */}\n\n    <b />\n</div>",
+            "options": [{"children": "always"}]
+        },
+        {
+            "code": "<>\n\n    <a />\n\n</>",
+            "options": [{"edges": "always"}]
+        },
+        {
+            "code": "<div\n    a=\"1\"\n\n    b=\"2\"\n>\n\n    <a />\n    <b />\n\n</div>",
+            "options": [{"attributes": "any", "children": "never", "edges": "any"}]
+        }
+    ]
+})
@@ -0,0 +1,236 @@
+import assert from "node:assert/strict"
+import {describe, it} from "node:test"
+import {Linter, RuleTester} from "eslint"
+import arraysRule from "../app/rules/arrays.js"
+import plugin from "../app/index.js"
+import tsParser from "@typescript-eslint/parser"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const LOCATION_KEYS = new Set(["end", "loc", "parent", "range", "start"])
+
+/**
+ * The list fixes with the code, rules and expected output,
+ * which should keep comments and indentation and the existing line breaks,
+ * without adding or removing commas or semicolons.
+ * @type {{
+ *   code: string,
+ *   output: string,
+ *   rules: Record<string, unknown[]>,
+ *   typescript?: boolean
+ * }[]}
+ */
+const corpus = [
+    {
+        "code": "const a = [\n    1, // one\n\n    // two\n    2\n]\n",
+        "output": "const a = [\n    1, // one\n    // two\n    2\n]\n",
+        "rules": {"arrays": ["never"]}
+    },
+    {
+        "code": "const a = [\n    1, /* one */\n    2\n]\n",
+        "output": "const a = [\n    1, /* one */\n\n    2\n]\n",
+        "rules": {"arrays": ["always", {"edges": "never"}]}
+    },
+    {
+        "code": "const a = [\n    1,\n    // two\n    2\n]\n",
+        "output": "const a = [\n    1,\n\n    // two\n    2\n]\n",
+        "rules": {
+            "arrays": ["always", {"comments": "attach-to-next", "edges": "never"}]
+        }
+    },
+    {
+        "code": "const a = [\n    1,\n    /* two */ 2\n]\n",
+        "output": "const a = [\n    1,\n    /* two */\n\n    2\n]\n",
+        "rules": {
+            "arrays": ["always", {"comments": "attach-to-prev", "edges": "never"}]
+        }
+    },
+    {
+        "code": "const a = [\n    1, 2\n]\n",
+        "output": "const a = [\n    1,\n\n    2\n]\n",
+        "rules": {"arrays": ["always", {"edges": "never"}]}
+    },
+    {
+        "code": "const o = {\r\n    a: 1,\r\n    b: 2\r\n}\r\n",
+        "output": "const o = {\r\n\r\n    a: 1,\r\n\r\n    b: 2\r\n\r\n}\r\n",
+        "rules": {"objects": ["always"]}
+    },
+    {
+        "code": "const o = {\r\n\r\n    a: 1,\r\n\r\n    b: 2\r\n}\r\n",
+        "output": "const o = {\r\n    a: 1,\r\n    b: 2\r\n}\r\n",
+        "rules": {"objects": ["never"]}
+    },
+    {
+        "code": "const a = [\n    1,\n\n    2,\n\n]\n",
+        "output": "const a = [\n    1,\n    2,\n]\n",
+        "rules": {"arrays": ["never"]}
+    },
+    {
+        "code": "const a = [\n    1,\n    2,\n]\n",
+        "output": "const a = [\n\n    1,\n\n    2,\n\n]\n",
+        "rules": {"arrays": ["always"]}
+    },
+    {
+        "code": "const a = [\n    1,\n    2\n]\n",
+        "output": "const a = [\n\n    1,\n\n    2\n\n]\n",
+        "rules": {"arrays": ["always"]}
+    },
+    {
+        "code": "const o = {a: 1, b: 2}\n",
+        "output": "const o = {\n\na: 1,\n\nb: 2\n\n}\n",
+        "rules": {"objects": ["always"]}
+    },
+    {
+        "code": "const o = {\n    name: 1,\n\n    version: 2,\n"
+            + "    scriptsBuild: 3,\n    scripts_test: 4,\n    [e]: 5\n}\n",
+        "output": "const o = {\n    name: 1,\n    version: 2,\n\n"
+            + "    scriptsBuild: 3,\n    scripts_test: 4,\n\n    [e]: 5\n}\n",
+        "rules": {"objects": ["group"]}
+    },
+    {
+        "code": "const o = {\n    a,\n    b: 1,\n    c: 2,\n    d() {},\n    ...e\n}\n",
+        "output": "const o = {\n    a,\n\n    b: 1,\n    c: 2,\n\n"
+            + "    d() {},\n\n    ...e\n}\n",
+        "rules": {"objects": ["group", {"groupBy": "kind"}]}
+    },
+    {
+        "code": "const a = [\n    (1),\n\n    (2)\n]\n",
+        "output": "const a = [\n    (1),\n    (2)\n]\n",
+        "rules": {"arrays": ["never"]}
+    },
+    {
+        "code": "foo(\n    (a || b),\n    c\n)\n",
+        "output": "foo(\n\n    (a || b),\n\n    c\n\n)\n",
+        "rules": {"arguments": ["always"]}
+    },
+    {
+        "code": "foo(\n\n    (a)\n\n)\n",
+        "output": "foo(\n    (a)\n)\n",
+        "rules": {"arguments": ["never"]}
+    },
+    {
+        "code": "interface A {\n    a: string;\n\n    b: number;\n}\n",
+        "output": "interface A {\n    a: string;\n    b: number;\n}\n",
+        "rules": {"objects": ["never"]},
+        "typescript": true
+    },
+    {
+        "code": "type A = {\n    a: string;\n    b: number;\n}\n",
+        "output": "type A = {\n\n    a: string;\n\n    b: number;\n\n}\n",
+        "rules": {"objects": ["always"]},
+        "typescript": true
+    },
+    {
+        "code": "interface A {\n    a: string; // a\n    b: number\n}\n",
+        "output": "interface A {\n    a: string; // a\n\n    b: number\n}\n",
+        "rules": {"objects": ["always", {"edges": "never"}]},
+        "typescript": true
+    }
+]
+
+/**
+ * Creates the config to run the given rules of the plugin.
+ * @param {typeof corpus[number]} entry - The entry of the corpus.
+ * @returns {import('eslint').Linter.Config} The config for the linter.
+ */
+const createConfig = entry => {
+    /** @type {import('eslint').Linter.Config} */
+    const config = {
+        "plugins": {"padding-lines": plugin},
+        "rules": Object.fromEntries(Object.entries(entry.rules).map(
+            ([name, options]) => [`padding-lines/${name}`, ["error", ...options]]))
+    }
+    if (entry.typescript) {
+        config.languageOptions = {"parser": tsParser}
+    }
+    return config
+}
+
+/**
+ * Removes the locations from a node, to compare the structure of two ASTs.
+ * @param {unknown} node - The node or value to strip.
+ * @returns {unknown} The node without any location info.
+ */
+const stripLocations = node => {
+    if (Array.isArray(node)) {
+        return node.map(stripLocations)
+    }
+    if (!node || typeof node !== "object") {
+        return node
+    }
+    return Object.fromEntries(Object.entries(node)
+        .filter(([key]) => !LOCATION_KEYS.has(key))
+        .map(([key, value]) => [key, stripLocations(value)]))
+}
+
+/**
+ * Parses the code with the parser of the config.
+ * @param {string} code - The code to parse.
+ * @param {import('eslint').Linter.Config} config - The config to use.
+ * @returns {{ast: unknown, comments: string[], tokens: string[]}} The AST
+ * without locations and the text of the comments and tokens.
+ */
+const parse = (code, config) => {
+    const linter = new Linter()
+    assert.deepEqual(linter.verify(code, {...config, "rules": {}}), [])
+    const {ast} = linter.getSourceCode()
+    const {comments = [], tokens, ...program} = ast
+    return {
+        "ast": stripLocations(program),
+        "comments": comments.map(comment => comment.value),
+        "tokens": tokens.map(token => token.value)
+    }
+}
+
+describe("list fixes", () => {
+    for (const entry of corpus) {
+        it(JSON.stringify(entry.code), () => {
+            const linter = new Linter()
+            const config = createConfig(entry)
+            const {output} = linter.verifyAndFix(entry.code, config)
+            assert.equal(output, entry.output)
+            assert.deepEqual(linter.verify(output, config), [])
+            assert.deepEqual(parse(output, config), parse(entry.code, config))
+        })
+    }
+})
+
+new RuleTester().run("list suggestions", arraysRule, {
+    "invalid": [
+        {
+            "code": "const a = [\n    1,\n\n    // two\n\n    2\n]",
+            "errors": [{
+                "messageId": "never",
+                "suggestions": [{
+                    "messageId": "removeAllBlankLines",
+                    "output": "const a = [\n    1,\n    // two\n    2\n]"
+                }]
+            }],
+            "options": ["never"],
+            "output": null
+        },
+        {
+            "code": "const a = [\n    1,\n\n    // two\n\n    // three\n\n    2\n]",
+            "errors": [{
+                "messageId": "count",
+                "suggestions": [
+                    {
+                        "messageId": "keepBlankLinesAbove",
+                        "output": "const a = [\n    1,\n\n    // two\n"
+                            + "    // three\n    2\n]"
+                    },
+                    {
+                        "messageId": "keepBlankLinesBelow",
+                        "output": "const a = [\n    1,\n    // two\n"
+                            + "    // three\n\n    2\n]"
+                    }
+                ]
+            }],
+            "options": ["always", {"edges": "never", "max": 1}],
+            "output": null
+        }
+    ],
+    "valid": []
+})
@@ -0,0 +1,101 @@
+import {describe, it} from "node:test"
+import {RuleTester} from "eslint"
+import argumentsRule from "../app/rules/arguments.js"
+import arraysRule from "../app/rules/arrays.js"
+import objectsRule from "../app/rules/objects.js"
+import parametersRule from "../app/rules/parameters.js"
+import patternsRule from "../app/rules/patterns.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester()
+
+ruleTester.run("arrays: messages", arraysRule, {
+    "invalid": [
+        {
+            "code": "const a = [\n\n    1,\n\n    b\n\n]",
+            "errors": [
+                {"message": "Unexpected blank line after the opening bracket ([ and Literal, override -1)."},
+                {"message": "Unexpected blank line between array elements (Literal and Identifier, override -1)."},
+                {"message": "Unexpected blank line before the closing bracket (Identifier and ], override -1)."}
+            ],
+            "options": ["never"],
+            "output": "const a = [\n    1,\n    b\n]"
+        },
+        {
+            "code": "const a = [\n    [\n        1,\n        2\n    ]\n]",
+            "errors": [
+                {"message": "Expected blank line after the opening bracket ([ and Literal, override 1)."},
+                {"message": "Expected blank line between array elements (Literal and Literal, override 1)."},
+                {"message": "Expected blank line before the closing bracket (Literal and ], override 1)."}
+            ],
+            "options": ["never", {"overrides": [
+                {"minDepth": 2, "mode": "never"}, {"minDepth": 1, "mode": "always"}
+            ]}],
+            "output": "const a = [\n    [\n\n        1,\n\n        2\n\n    ]\n]"
+        }
+    ],
+    "valid": []
+})
+
+ruleTester.run("objects: messages", objectsRule, {
+    "invalid": [
+        {
+            "code": "const o = {\n\n\n    a: 1,\n\n\n    b\n}",
+            "errors": [
+                {"message": "Expected 1 blank lines after the opening brace instead of 2 ({ and Property, override 0)."},
+                {"message": "Expected 1 blank lines between object props instead of 2 (Property and Property, override 0)."},
+                {"message": "Expected blank line before the closing brace (Property and }, override 0)."}
+            ],
+            "options": ["never", {"exact": 1, "overrides": [{"mode": "always"}]}],
+            "output": "const o = {\n\n    a: 1,\n\n    b\n\n}"
+        }
+    ],
+    "valid": []
+})
+
+ruleTester.run("arguments: messages", argumentsRule, {
+    "invalid": [
+        {
+            "code": "foo(\n    a,\n\n    b\n)",
+            "errors": [
+                {"message": "Unexpected blank line between arguments (Identifier and Identifier, override -1)."}
+            ],
+            "options": ["never"],
+            "output": "foo(\n    a,\n    b\n)"
+        }
+    ],
+    "valid": []
+})
+
+ruleTester.run("parameters: messages", parametersRule, {
+    "invalid": [
+        {
+            "code": "function f(\n    a,\n    b = 1\n) {}",
+            "errors": [
+                {"message": "Expected blank line after the opening parenthesis (( and Identifier, override -1)."},
+                {"message": "Expected blank line between parameters (Identifier and AssignmentPattern, override -1)."},
+                {"message": "Expected blank line before the closing parenthesis (AssignmentPattern and ), override -1)."}
+            ],
+            "options": ["always"],
+            "output": "function f(\n\n    a,\n\n    b = 1\n\n) {}"
+        }
+    ],
+    "valid": []
+})
+
+ruleTester.run("patterns: messages", patternsRule, {
+    "invalid": [
+        {
+            "code": "const {\n    a,\n\n\n    ...b\n} = c",
+            "errors": [
+                {"message": "Expected at most 1 blank lines between destructured items instead of 2 (Property and RestElement, override -1)."}
+            ],
+            "options": ["always", {"edges": "never", "max": 1}],
+            "output": "const {\n    a,\n\n    ...b\n} = c"
+        }
+    ],
+    "valid": []
+})
@@ -0,0 +1,120 @@
+import {describe, it} from "node:test"
+import {RuleTester} from "eslint"
+import rule from "../app/rules/module-layout.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester()
+const cjsTester = new RuleTester({"languageOptions": {"sourceType": "commonjs"}})
+
+ruleTester.run("module-layout", rule, {
+    "invalid": [
+        {
+            "code": "\"use strict\"\nimport a from \"a\"\nfoo()\n"
+                + "export default a\nexport const b = 1",
+            "errors": [
+                {"line": 2, "messageId": "expectedBlankLine"},
+                {"line": 3, "messageId": "expectedBlankLine"},
+                {"line": 4, "messageId": "expectedBlankLine"},
+                {"line": 5, "messageId": "expectedBlankLine"}
+            ],
+            "output": "\"use strict\"\n\nimport a from \"a\"\n\nfoo()\n\n"
+                + "export default a\n\nexport const b = 1"
+        },
+        {
+            "code": "\"use strict\"\n\nexport default 1",
+            "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+            "options": [{"afterDirectives": "never"}],
+            "output": "\"use strict\"\nexport default 1"
+        },
+        {
+            "code": "\"use strict\"\nexport default 1",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "options": [{"aroundExportDefault": "never"}],
+            "output": "\"use strict\"\n\nexport default 1"
+        },
+        {
+            "code": "import a from \"a\"\nexport default a",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "options": [{"afterImports": "never"}],
+            "output": "import a from \"a\"\n\nexport default a"
+        },
+        {
+            "code": "import a from \"a\"\n\nexport default a",
+            "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+            "options": [{"aroundExportDefault": "never"}],
+            "output": "import a from \"a\"\nexport default a"
+        },
+        {
+            "code": "import a from \"a\"\nexport {a}",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "options": [{"beforeExports": "never"}],
+            "output": "import a from \"a\"\n\nexport {a}"
+        },
+        {
+            "code": "import a from \"a\"\n\nexport {a}",
+            "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+            "options": [{"afterImports": "never"}],
+            "output": "import a from \"a\"\nexport {a}"
+        },
+        {
+            "code": "foo()\n\nexport const a = 1\n\nexport {a as b}",
+            "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+            "options": [{"beforeExports": "never"}],
+            "output": "foo()\nexport const a = 1\n\nexport {a as b}"
+        }
+    ],
+    "valid": [
+        "import a from \"a\"\nimport b from \"b\"\n\nfoo()\nbar()\n\nexport {a, b}",
+        "foo()\nexport const a = 1\nbar()",
+        {
+            "code": "\"use strict\"\nimport a from \"a\"\nexport default a",
+            "options": [{
+                "afterDirectives": "any",
+                "afterImports": "never",
+                "aroundExportDefault": "any"
+            }]
+        },
+        {
+            "code": "import a from \"a\"\n\nexport {a}",
+            "options": [{"beforeExports": "never"}]
+        }
+    ]
+})
+
+cjsTester.run("module-layout: commonjs", rule, {
+    "invalid": [
+        {
+            "code": "\"use strict\"\nconst a = require(\"a\")\n"
+                + "const b = require(\"b\").b\nfoo()\nmodule.exports = a",
+            "errors": [
+                {"line": 2, "messageId": "expectedBlankLine"},
+                {"line": 4, "messageId": "expectedBlankLine"},
+                {"line": 5, "messageId": "expectedBlankLine"}
+            ],
+            "output": "\"use strict\"\n\nconst a = require(\"a\")\n"
+                + "const b = require(\"b\").b\n\nfoo()\n\nmodule.exports = a"
+        },
+        {
+            "code": "foo()\nexports.a = 1\nmodule.exports.b = 2\nexports[\"c\"] = 3",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "output": "foo()\n\nexports.a = 1\nmodule.exports.b = 2\nexports[\"c\"] = 3"
+        },
+        {
+            "code": "const a = require(\"a\")\n\nfoo()",
+            "errors": [{"line": 3, "messageId": "unexpectedBlankLine"}],
+            "options": [{"afterImports": "never"}],
+            "output": "const a = require(\"a\")\nfoo()"
+        }
+    ],
+    "valid": [
+        "const a = require(\"a\")\n\nfoo()\nexportsA = 1",
+        "const a = 1\nfoo()\nmodule.exported = a",
+        {
+            "code": "const a = require(\"a\")\nmodule.exports = a",
+            "options": [{"afterImports": "any", "beforeExports": "never"}]
+        }
+    ]
+})
@@ -0,0 +1,143 @@
+import assert from "node:assert/strict"
+import {describe, it} from "node:test"
+import {Linter, RuleTester} from "eslint"
+import rule from "../app/rules/statements.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const multilineObject = "{\n    b: 1\n}"
+const multilineArrow = "() => {\n    foo()\n}"
+
+/**
+ * Statements that each declaration type should match, and similar statements
+ * that it should not match, as the previous statement of a padded pair.
+ * @type {Record<string, {matching: string[], other: string[]}>}
+ */
+const declarationTypes = {
+    "arrow": {
+        "matching": [
+            "const f = () => 1", "let f = async () => 1", "var f = () => 1"
+        ],
+        "other": ["const a = 1", "const f = function () {}"]
+    },
+    "async-arrow": {
+        "matching": ["const f = async () => 1"],
+        "other": ["const f = () => 1", "const f = async function () {}"]
+    },
+    "await-using": {
+        "matching": ["await using a = b"],
+        "other": ["using a = b", "const a = b"]
+    },
+    "const": {
+        "matching": ["const a = 1", "const {a} = b"],
+        "other": [
+            "let a = 1", "var a = 1", "using a = b", "const f = () => 1"
+        ]
+    },
+    "let": {
+        "matching": ["let a = 1", "let a"],
+        "other": ["const a = 1", "var a = 1", "let f = () => 1"]
+    },
+    "multiline-arrow": {
+        "matching": [`const f = ${multilineArrow}`],
+        "other": ["const f = () => 1", `const a = ${multilineObject}`]
+    },
+    "multiline-const": {
+        "matching": [
+            `const a = ${multilineObject}`, `const f = ${multilineArrow}`
+        ],
+        "other": ["const a = 1", `let a = ${multilineObject}`]
+    },
+    "multiline-let": {
+        "matching": [`let a = ${multilineObject}`, `let f = ${multilineArrow}`],
+        "other": ["let a = 1", `const a = ${multilineObject}`]
+    },
+    "multiline-var": {
+        "matching": [`var a = ${multilineObject}`, `var f = ${multilineArrow}`],
+        "other": ["var a = 1", `let a = ${multilineObject}`]
+    },
+    "singleline-arrow": {
+        "matching": ["const f = () => 1"],
+        "other": [`const f = ${multilineArrow}`, "const a = 1"]
+    },
+    "singleline-const": {
+        "matching": ["const a = 1", "const f = () => 1"],
+        "other": [`const a = ${multilineObject}`, "let a = 1"]
+    },
+    "singleline-let": {
+        "matching": ["let a = 1", "let f = () => 1"],
+        "other": [`let a = ${multilineObject}`, "const a = 1"]
+    },
+    "singleline-var": {
+        "matching": ["var a = 1", "var f = () => 1"],
+        "other": [`var a = ${multilineObject}`, "let a = 1"]
+    },
+    "using": {
+        "matching": ["using a = b"],
+        "other": ["await using a = b", "let a = b"]
+    },
+    "var": {
+        "matching": ["var a = 1", "var {a} = b"],
+        "other": ["let a = 1", "const a = 1", "var f = () => 1"]
+    }
+}
+
+const ruleTester = new RuleTester()
+
+for (const [type, {matching, other}] of Object.entries(declarationTypes)) {
+    const options = [{"blankLine": "always", "next": "*", "prev": type}]
+    ruleTester.run(`statements: ${type}`, rule, {
+        "invalid": matching.map(code => ({
+            "code": `${code}\nfoo()`,
+            "errors": [{"messageId": "expectedBlankLine"}],
+            options,
+            "output": `${code}\n\nfoo()`
+        })),
+        "valid": other.map(code => ({"code": `${code}\nfoo()`, options}))
+    })
+}
+
+ruleTester.run("statements: same line", rule, {
+    "invalid": [
+        {
+            "code": "function f() {\n    foo(); bar()\n}",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "options": [{"blankLine": "always", "next": "*", "prev": "*"}],
+            "output": "function f() {\n    foo();\n\n    bar()\n}"
+        },
+        {
+            "code": "function f() {\n    foo()\n    /* c */ bar()\n}",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "options": [{
+                "blankLine": "always",
+                "comments": "attach-to-prev",
+                "next": "*",
+                "prev": "*"
+            }],
+            "output": "function f() {\n    foo()\n    /* c */\n\n    bar()\n}"
+        },
+        {
+            "code": "function f() {\r\n    foo(); bar()\r\n}",
+            "errors": [{"line": 2, "messageId": "expectedBlankLine"}],
+            "options": [{"blankLine": "always", "next": "*", "prev": "*"}],
+            "output": "function f() {\r\n    foo();\r\n\r\n    bar()\r\n}"
+        }
+    ],
+    "valid": []
+})
+
+describe("statements selectors", () => {
+    it("throws on an invalid selector before any statement is matched", () => {
+        const linter = new Linter()
+        assert.throws(() => linter.verify("foo()", {
+            "plugins": {"statements": {"rules": {rule}}},
+            "rules": {"statements/rule": ["error", {
+                "blankLine": "always",
+                "next": "*",
+                "prev": {"selector": "[a"}
+            }]}
+        }), {"message": /Invalid statement selector "\[a": /u})
+    })
+})
@@ -0,0 +1,107 @@
+import {describe, it} from "node:test"
+import {RuleTester} from "eslint"
+import rule from "../app/rules/switch-cases.js"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester()
+
+ruleTester.run("switch-cases", rule, {
+    "invalid": [
+        {
+            "code": "switch (a) {\ncase 1:\n    foo()\ncase 2:\n    bar()\n}",
+            "errors": [{"line": 4, "messageId": "expectedBlankLine"}],
+            "output": "switch (a) {\ncase 1:\n    foo()\n\ncase 2:\n    bar()\n}"
+        },
+        {
+            "code": "switch (a) {\ncase 1:\n\ncase 2:\n    foo()\n}",
+            "errors": [{"line": 4, "messageId": "unexpectedBlankLine"}],
+            "output": "switch (a) {\ncase 1:\ncase 2:\n    foo()\n}"
+        },
+        {
+            "code": "switch (a) {\ncase 1:\ncase 2:\n    foo()\n}",
+            "errors": [{"line": 3, "messageId": "expectedBlankLine"}],
+            "options": [{"fallThrough": "always"}],
+            "output": "switch (a) {\ncase 1:\n\ncase 2:\n    foo()\n}"
+        },
+        {
+            "code": "switch (a) {\ncase 1:\n    foo()\n\ndefault:\n    bar()\n}",
+            "errors": [{"line": 5, "messageId": "unexpectedBlankLine"}],
+            "options": [{"default": "never"}],
+            "output": "switch (a) {\ncase 1:\n    foo()\ndefault:\n    bar()\n}"
+        },
+        {
+            "code": "switch (a) {\ncase 1:\n    foo()\ndefault:\n    bar()\n}",
+            "errors": [{"line": 4, "messageId": "expectedBlankLine"}],
+            "options": [{"between": "never", "default": "always"}],
+            "output": "switch (a) {\ncase 1:\n    foo()\n\ndefault:\n    bar()\n}"
+        },
+        {
+            "code": "switch (a) {\n\ncase 1:\n    foo()\n}",
+            "errors": [{"line": 3, "messageId": "neverStart"}],
+            "output": "switch (a) {\ncase 1:\n    foo()\n}"
+        },
+        {
+            "code": "switch (a) {\ncase 1:\n    foo()\n}",
+            "errors": [{"line": 2, "messageId": "alwaysStart"}],
+            "options": [{"start": "always"}],
+            "output": "switch (a) {\n\ncase 1:\n    foo()\n}"
+        },
+        {
+            "code": "switch (a) { // a\ncase 1:\n    foo()\n}",
+            "errors": [{"line": 2, "messageId": "alwaysStart"}],
+            "options": [{"start": "always"}],
+            "output": "switch (a) { // a\n\ncase 1:\n    foo()\n}"
+        },
+        {
+            "code": "switch (a) {\r\n  case 1:\r\n    foo()\r\n}",
+            "errors": [{"line": 2, "messageId": "alwaysStart"}],
+            "options": [{"start": "always"}],
+            "output": "switch (a) {\r\n\r\n  case 1:\r\n    foo()\r\n}"
+        },
+        {
+            "code": "switch (a) {\r\n  case 1:\r\n    foo()\r\n  case 2:\r\n    bar()\r\n}",
+            "errors": [{"line": 4, "messageId": "expectedBlankLine"}],
+            "output": "switch (a) {\r\n  case 1:\r\n    foo()\r\n\r\n  case 2:\r\n    bar()\r\n}"
+        },
+        {
+            "code": "switch (a) {\n\n// a\n\ncase 1:\n    foo()\n}",
+            "errors": [{
+                "line": 5,
+                "messageId": "neverStart",
+                "suggestions": [{
+                    "messageId": "removeAllBlankLines",
+                    "output": "switch (a) {\n// a\ncase 1:\n    foo()\n}"
+                }]
+            }],
+            "output": null
+        },
+        {
+            "code": "switch (a) {\r\n\r\n  case 1:\r\n    foo()\r\n}",
+            "errors": [{"line": 3, "messageId": "neverStart"}],
+            "output": "switch (a) {\r\n  case 1:\r\n    foo()\r\n}"
+        }
+    ],
+    "valid": [
+        "switch (a) {\ncase 1:\ncase 2:\n    foo()\n\ndefault:\n    bar()\n}",
+        {
+            "code": "switch (a) {\ncase 1:\n\ncase 2:\n    foo()\n}",
+            "options": [{"fallThrough": "any"}]
+        },
+        {
+            "code": "switch (a) {\ncase 1:\n    foo()\n\ncase 2:\n    bar()\ndefault:\n}",
+            "options": [{"default": "never"}]
+        },
+        {
+            "code": "switch (a) {\n\ncase 1:\n    foo()\n}",
+            "options": [{"start": "any"}]
+        },
+        {
+            "code": "switch (a) {\n\ncase 1:\n    foo()\n}",
+            "options": [{"start": "always"}]
+        },
+        "switch (a) {}"
+    ]
+})
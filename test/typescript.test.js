@@ -0,0 +1,143 @@
+import {describe, it} from "node:test"
+import {RuleTester} from "eslint"
+import objectsRule from "../app/rules/objects.js"
+import statementsRule from "../app/rules/statements.js"
+import tsParser from "@typescript-eslint/parser"
+
+RuleTester.describe = describe
+RuleTester.it = it
+RuleTester.itOnly = it.only
+
+const ruleTester = new RuleTester({"languageOptions": {"parser": tsParser}})
+
+ruleTester.run("objects: typescript members", objectsRule, {
+    "invalid": [
+        {
+            "code": "interface A {\n    a: string\n\n    b(): void\n}",
+            "errors": [{"messageId": "never"}],
+            "options": ["never"],
+            "output": "interface A {\n    a: string\n    b(): void\n}"
+        },
+        {
+            "code": "interface A {\n    a: string;\n    b: number;\n}",
+            "errors": [{"messageId": "always"}],
+            "options": ["always", {"edges": "never"}],
+            "output": "interface A {\n    a: string;\n\n    b: number;\n}"
+        },
+        {
+            "code": "type A = {\n    a: string,\n    b: number\n}",
+            "errors": [{"messageId": "always"}],
+            "options": ["always", {"edges": "never"}],
+            "output": "type A = {\n    a: string,\n\n    b: number\n}"
+        },
+        {
+            "code": "type A = {\n\n    a: string\n}",
+            "errors": [{"messageId": "neverStart"}],
+            "options": ["never"],
+            "output": "type A = {\n    a: string\n}"
+        },
+        {
+            "code": "enum E {\n    A,\n\n    B = 2,\n}",
+            "errors": [{"messageId": "never"}],
+            "options": ["never"],
+            "output": "enum E {\n    A,\n    B = 2,\n}"
+        },
+        {
+            "code": "enum E {\n    A,\n    B\n}",
+            "errors": [
+                {"messageId": "alwaysStart"},
+                {"messageId": "always"},
+                {"messageId": "alwaysEnd"}
+            ],
+            "options": ["always"],
+            "output": "enum E {\n\n    A,\n\n    B\n\n}"
+        }
+    ],
+    "valid": [
+        {
+            "code": "interface A {\n    a: string;\n\n    b: number;\n}",
+            "options": ["always", {"edges": "never"}]
+        },
+        {
+            "code": "type A = {a: string, b: number}",
+            "options": ["never"]
+        },
+        {
+            "code": "enum E {\n    A,\n    B\n}",
+            "options": ["never"]
+        }
+    ]
+})
+
+ruleTester.run("statements: namespace blocks", statementsRule, {
+    "invalid": [
+        {
+            "code": "namespace N {\n    const a = 1\n    foo()\n}",
+            "errors": [{"messageId": "expectedBlankLine"}],
+            "options": [{"blankLine": "always", "next": "*", "prev": "*"}],
+            "output": "namespace N {\n    const a = 1\n\n    foo()\n}"
+        },
+        {
+            "code": "declare module \"m\" {\n    type A = string\n\n    type B = number\n}",
+            "errors": [{"messageId": "unexpectedBlankLine"}],
+            "options": [{"blankLine": "never", "next": "*", "prev": "*"}],
+            "output": "declare module \"m\" {\n    type A = string\n    type B = number\n}"
+        }
+    ],
+    "valid": [
+        {
+            "code": "namespace N {\n    const a = 1\n\n    foo()\n}",
+            "options": [{"blankLine": "always", "next": "*", "prev": "*"}]
+        },
+        {
+            "code": "namespace N {\n    const a = 1\n    foo()\n}",
+            "options": [
+                {"blankLine": "always", "in": "program", "next": "*", "prev": "*"}
+            ]
+        }
+    ]
+})
+
+/**
+ * Statements that each TypeScript statement type should match as the previous
+ * statement of a padded pair, next to a statement it should not match.
+ * @type {Record<string, string[]>}
+ */
+const typescriptTypes = {
+    "declare": [
+        "declare const a: string", "declare function f(): void",
+        "declare module \"m\" {}"
+    ],
+    "enum": ["enum E {A}", "const enum E {A}"],
+    "interface": ["interface A {}", "interface A extends B {}"],
+    "namespace": ["namespace N {}", "module M {}", "declare namespace N {}"],
+    "type": ["type A = string", "type A<T> = T[]"]
+}
+
+for (const [type, matching] of Object.entries(typescriptTypes)) {
+    const options = [{"blankLine": "always", "next": "*", "prev": type}]
+    ruleTester.run(`statements: ${type}`, statementsRule, {
+        "invalid": matching.map(code => ({
+            "code": `${code}\nfoo()`,
+            "errors": [{"messageId": "expectedBlankLine"}],
+            options,
+            "output": `${code}\n\nfoo()`
+        })),
+        "valid": [
+            {"code": "const a = 1\nfoo()", options},
+            {"code": "function f() {}\nfoo()", options}
+        ]
+    })
+}
+
+ruleTester.run("statements: function overloads", statementsRule, {
+    "invalid": [
+        {
+            "code": "function f(): void\nfunction f(a?: string) {}",
+            "errors": [{"messageId": "expectedBlankLine"}],
+            "options": [{"blankLine": "always", "next": "*", "prev": "*"}],
+            "output": "function f(): void\n\nfunction f(a?: string) {}"
+        }
+    ],
+    "valid": []
+})